@@ -0,0 +1,66 @@
+const fs = require('fs');
+
+/**
+ * Server configuration.
+ * Defaults can be overridden per section with a JSON file named by
+ * XRAY_CONFIG_FILE, e.g. { "itemKeys": { "my-pipeline": "sku" } }.
+ */
+const DEFAULT_CONFIG = {
+  // Field that identifies an item inside candidates/filtered, per pipeline
+  defaultItemKey: 'id',
+  itemKeys: {},
+  search: {
+    // Also index string leaves of step outputs (e.g. LLM responses), not
+    // just reasoning. Costs memory proportional to output size.
+    indexOutputs: false,
+  },
+  llm: {
+    // USD per million tokens; a model without an entry uses its longest
+    // matching prefix, e.g. "gpt-4o-mini-2024-07-18" -> "gpt-4o-mini"
+    pricing: {
+      'gpt-4o': { prompt: 2.5, completion: 10 },
+      'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+    },
+  },
+  runTimeouts: {
+    // A running run is marked `abandoned` after this long without a step or
+    // heartbeat, and `timed_out` once it has run this long in total.
+    // 0 disables a check. `pipelines` overrides either per pipeline, e.g.
+    // { "listing-optimization": { "maxDurationMs": 3600000 } }
+    idleTimeoutMs: 5 * 60 * 1000,
+    maxDurationMs: 30 * 60 * 1000,
+    pipelines: {},
+    checkIntervalMs: 30 * 1000,
+  },
+  retention: {
+    // Matched in order, first match wins; runs no rule matches are kept
+    // forever. Compacting drops candidates/filtered but keeps their counts:
+    // [{ "status": "error", "deleteAfterDays": 90 },
+    //  { "status": "success", "compactAfterDays": 1, "deleteAfterDays": 7 }]
+    rules: [],
+    checkIntervalMs: 60 * 60 * 1000,
+  },
+  annotations: {
+    // Labels reviewers can attach to runs and steps
+    labels: ['correct', 'incorrect', 'needs-review'],
+  },
+};
+
+function loadConfig() {
+  const file = process.env.XRAY_CONFIG_FILE;
+  if (!file) return DEFAULT_CONFIG;
+
+  const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const config = { ...DEFAULT_CONFIG };
+
+  Object.keys(overrides).forEach(section => {
+    const base = DEFAULT_CONFIG[section];
+    config[section] = base && typeof base === 'object' && !Array.isArray(base)
+      ? { ...base, ...overrides[section] }
+      : overrides[section];
+  });
+
+  return config;
+}
+
+module.exports = loadConfig();
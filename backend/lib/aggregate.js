@@ -0,0 +1,143 @@
+const { getPath } = require('./paths');
+
+/**
+ * Group-by aggregation over runs or steps.
+ *
+ * Measures are written `count`, `count(field)`, `sum(field)`, `avg(field)`,
+ * `min(field)`, `max(field)` or `pNN(field)` (e.g. `p95(duration)`).
+ * Non-numeric values are ignored by every measure except a bare `count`, so
+ * `count(field)` counts the records where field is a number.
+ */
+
+class AggregationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AggregationError';
+  }
+}
+
+const BUCKETS = {
+  hour: date => date.toISOString().slice(0, 13) + ':00:00.000Z',
+  day: date => date.toISOString().slice(0, 10),
+  // Weeks start on Monday (UTC)
+  week: date => {
+    const monday = new Date(date);
+    monday.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return monday.toISOString().slice(0, 10);
+  },
+  month: date => date.toISOString().slice(0, 7),
+};
+
+// Nearest-rank percentile over a sorted array
+const percentile = (sorted, p) =>
+  sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+
+const REDUCERS = {
+  count: values => values.length,
+  sum: values => values.reduce((a, b) => a + b, 0),
+  avg: values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null),
+  min: values => (values.length ? values.reduce((a, b) => Math.min(a, b)) : null),
+  max: values => (values.length ? values.reduce((a, b) => Math.max(a, b)) : null),
+};
+
+/**
+ * Parse `count,avg(duration),p95(duration)` into measure definitions.
+ * @throws {AggregationError}
+ */
+function parseMeasures(spec) {
+  const parts = (spec || 'count').split(',').map(part => part.trim()).filter(Boolean);
+
+  return parts.map(name => {
+    if (name === 'count') {
+      return { name, field: null, reduce: null };
+    }
+
+    const match = /^(\w+)\(([\w$.]+)\)$/.exec(name);
+    if (!match) {
+      throw new AggregationError(`Invalid measure '${name}'`);
+    }
+
+    const [, fn, field] = match;
+    if (REDUCERS[fn]) {
+      return { name, field, reduce: REDUCERS[fn] };
+    }
+
+    const p = /^p(\d{1,2}(?:\.\d+)?|100)$/.exec(fn);
+    if (p) {
+      const rank = parseFloat(p[1]);
+      return {
+        name,
+        field,
+        reduce: values => (values.length
+          ? percentile([...values].sort((a, b) => a - b), rank)
+          : null),
+      };
+    }
+
+    throw new AggregationError(`Unknown measure function '${fn}'`);
+  });
+}
+
+/**
+ * Group records and compute measures per group.
+ * @param {Array} records
+ * @param {Object} options
+ * @param {Array<string>} options.groupBy - Dot paths to group on
+ * @param {string} options.bucket - hour, day, week or month
+ * @param {string} options.timeField - Field the bucket is taken from
+ * @param {string} options.measures - Measure spec, see parseMeasures
+ * @returns {Array} [{ key: { field: value, bucket }, count, [measure]: value }]
+ * @throws {AggregationError}
+ */
+function aggregate(records, { groupBy = [], bucket, timeField, measures } = {}) {
+  if (bucket && !BUCKETS[bucket]) {
+    throw new AggregationError(`bucket must be one of: ${Object.keys(BUCKETS).join(', ')}`);
+  }
+  const parsedMeasures = parseMeasures(measures);
+  const groups = new Map();
+
+  records.forEach(record => {
+    const key = {};
+    groupBy.forEach(field => {
+      const value = getPath(record, field);
+      key[field] = value === undefined ? null : value;
+    });
+
+    if (bucket) {
+      const date = new Date(getPath(record, timeField));
+      if (isNaN(date)) return;
+      key.bucket = BUCKETS[bucket](date);
+    }
+
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) {
+      groups.set(id, { key, records: [] });
+    }
+    groups.get(id).records.push(record);
+  });
+
+  const results = Array.from(groups.values()).map(({ key, records: members }) => {
+    const result = { key, count: members.length };
+
+    parsedMeasures.forEach(({ name, field, reduce }) => {
+      if (!field) {
+        result[name] = members.length;
+        return;
+      }
+      const values = members
+        .map(record => getPath(record, field))
+        .filter(value => typeof value === 'number' && !isNaN(value));
+      result[name] = reduce(values);
+    });
+
+    return result;
+  });
+
+  // Chronological when bucketed, largest groups first within a bucket
+  return results.sort((a, b) => {
+    if (a.key.bucket !== b.key.bucket) return a.key.bucket < b.key.bucket ? -1 : 1;
+    return b.count - a.count;
+  });
+}
+
+module.exports = { AggregationError, aggregate, parseMeasures };
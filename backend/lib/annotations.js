@@ -0,0 +1,50 @@
+/**
+ * Human feedback on runs and steps: a label from a fixed vocabulary, an
+ * optional free-text note and who left it.
+ */
+
+const MAX_NOTE_LENGTH = 5000;
+
+class AnnotationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnnotationError';
+  }
+}
+
+/**
+ * Validate a request body and build the annotation to store.
+ * @param {Object} body - { label, note, author }
+ * @param {Object} target - { runId, stepId }
+ * @param {Array} labels - Allowed labels
+ * @returns {Object} { annotationId, runId, stepId, label, note, author, createdAt }
+ * @throws {AnnotationError}
+ */
+function createAnnotation(body, { runId, stepId = null }, labels) {
+  const { label, note = '', author } = body || {};
+
+  if (!labels.includes(label)) {
+    throw new AnnotationError(`label must be one of: ${labels.join(', ')}`);
+  }
+  if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) {
+    throw new AnnotationError(`note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+  }
+  if (typeof author !== 'string' || !author.trim()) {
+    throw new AnnotationError('author is required');
+  }
+
+  return {
+    annotationId: `ann_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    runId,
+    stepId,
+    label,
+    note: note.trim(),
+    author: author.trim(),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// Distinct labels across a run's annotations, run- and step-level alike
+const labelsOf = annotations => [...new Set(annotations.map(annotation => annotation.label))];
+
+module.exports = { createAnnotation, labelsOf, AnnotationError };
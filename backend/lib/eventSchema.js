@@ -0,0 +1,133 @@
+/**
+ * Versioned schema for SDK events.
+ * Bump SCHEMA_VERSION and keep older versions in SUPPORTED_VERSIONS when the
+ * event shape changes incompatibly.
+ */
+const SCHEMA_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+// Final run statuses; timed_out and abandoned are normally set by the server
+const RUN_END_STATUSES = ['success', 'error', 'cancelled', 'timed_out', 'abandoned'];
+
+// field -> expected type; `required` fields must also be non-empty strings.
+// 'array<object>' is an array whose every element is an object, 'items' an
+// array or the SDK's `{ _summarized, total, sample }` summary of one, and
+// 'a|b' either type. `values` limits a field to a fixed set.
+const EVENT_SCHEMAS = {
+  run_start: {
+    required: { runId: 'string', pipeline: 'string' },
+    optional: { timestamp: 'string', metadata: 'object' },
+  },
+  step: {
+    required: { stepId: 'string', runId: 'string', name: 'string' },
+    optional: {
+      type: 'string',
+      input: 'object',
+      // Whatever the step returned
+      output: 'any',
+      candidates: 'items',
+      filtered: 'items',
+      parentStepId: 'string',
+      depth: 'number',
+      sequence: 'number',
+      status: 'string',
+      error: 'object|string',
+      reasoning: 'string',
+      rules: 'array',
+      llmCalls: 'array<object>',
+      metadata: 'object',
+      timestamp: 'string',
+      duration: 'number',
+    },
+  },
+  run_end: {
+    required: { runId: 'string' },
+    optional: { status: 'string', reason: 'string', timestamp: 'string', duration: 'number', stepCount: 'number' },
+    values: { status: RUN_END_STATUSES },
+  },
+  // Sent periodically by open runs so long, quiet runs aren't taken for dead
+  heartbeat: {
+    required: { runId: 'string' },
+    optional: { timestamp: 'string' },
+  },
+};
+
+const typeOf = value => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+const isSummary = value => typeOf(value) === 'object' && value._summarized === true
+  && typeof value.total === 'number' && Array.isArray(value.sample);
+
+const matchesType = (value, type) => {
+  if (type === 'any') return true;
+  if (type.includes('|')) return type.split('|').some(option => matchesType(value, option));
+  if (type === 'items') return Array.isArray(value) || isSummary(value);
+
+  const itemType = (type.match(/^array<(\w+)>$/) || [])[1];
+  if (!itemType) return typeOf(value) === type;
+  return typeOf(value) === 'array' && value.every(item => typeOf(item) === itemType);
+};
+
+const describeType = (type) => type.split('|').map(option => {
+  if (option === 'items') return 'an array or a { _summarized, total, sample } summary';
+  const name = option.replace(/^array<(\w+)>$/, 'array of $1s');
+  return `${/^[aeiou]/.test(name) ? 'an' : 'a'} ${name}`;
+}).join(' or ');
+
+/**
+ * Validate one event against the schema.
+ * @param {Object} event - { type, data, schemaVersion }
+ * @returns {string|null} Rejection reason, or null when valid
+ */
+function validateEvent(event) {
+  if (typeOf(event) !== 'object') {
+    return 'event must be an object';
+  }
+
+  const version = event.schemaVersion === undefined ? SCHEMA_VERSION : event.schemaVersion;
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return `unsupported schemaVersion: ${version}`;
+  }
+
+  if (event.eventId !== undefined && typeOf(event.eventId) !== 'string') {
+    return 'eventId must be a string';
+  }
+
+  const schema = EVENT_SCHEMAS[event.type];
+  if (!schema) {
+    return `unknown event type: ${event.type}`;
+  }
+
+  if (typeOf(event.data) !== 'object') {
+    return 'data must be an object';
+  }
+
+  for (const [field, type] of Object.entries(schema.required)) {
+    const value = event.data[field];
+    if (typeOf(value) !== type || (type === 'string' && value.trim() === '')) {
+      return `${event.type}.${field} is required and must be a non-empty ${type}`;
+    }
+  }
+
+  // null/undefined are fine for optional fields
+  for (const [field, type] of Object.entries(schema.optional)) {
+    const value = event.data[field];
+    if (value !== undefined && value !== null && !matchesType(value, type)) {
+      return `${event.type}.${field} must be ${describeType(type)}`;
+    }
+  }
+
+  for (const [field, allowed] of Object.entries(schema.values || {})) {
+    const value = event.data[field];
+    if (value !== undefined && value !== null && !allowed.includes(value)) {
+      return `${event.type}.${field} must be one of ${allowed.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = { SCHEMA_VERSION, RUN_END_STATUSES, validateEvent };
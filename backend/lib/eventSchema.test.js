@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateEvent } = require('./eventSchema');
+
+const step = data => ({ type: 'step', data: { stepId: 'step_1', runId: 'run_1', name: 'filter', ...data } });
+
+test('candidates and filtered must be arrays or SDK summaries', () => {
+  const summary = { _summarized: true, total: 500, sample: [{ id: 1 }], sampleIndices: [0] };
+
+  assert.strictEqual(validateEvent(step({ candidates: [{ id: 1 }], filtered: summary })), null);
+  assert.strictEqual(validateEvent(step({ candidates: 5 })),
+    'step.candidates must be an array or a { _summarized, total, sample } summary');
+  assert.match(validateEvent(step({ filtered: 'abc' })), /^step.filtered must be/);
+  assert.match(validateEvent(step({ filtered: { _summarized: true, total: 3 } })), /^step.filtered must be/);
+  assert.match(validateEvent(step({ candidates: { items: [] } })), /^step.candidates must be/);
+});
+
+test('step input must be an object and error an object or a string', () => {
+  assert.strictEqual(validateEvent(step({ input: { query: 'x' }, error: 'boom' })), null);
+  assert.strictEqual(validateEvent(step({ error: { message: 'boom' } })), null);
+  assert.strictEqual(validateEvent(step({ input: 'x' })), 'step.input must be an object');
+  assert.strictEqual(validateEvent(step({ error: 42 })), 'step.error must be an object or a string');
+});
+
+test('step output can be any value', () => {
+  ['text', 3, [1, 2], { selected: null }, false].forEach(output => {
+    assert.strictEqual(validateEvent(step({ output })), null);
+  });
+});
@@ -0,0 +1,101 @@
+// Reasons are arbitrary strings, so counters have no prototype for a reason
+// like `__proto__` to reach
+const counter = () => Object.create(null);
+const own = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Reason histogram of a filtered array following the { candidate, reasons }
+ * convention. Mirrors the SDK's computation so steps recorded before the SDK
+ * sent `filterReasons` can still be aggregated.
+ */
+function computeReasonBreakdown(filtered) {
+  if (!Array.isArray(filtered) || filtered.length === 0) return null;
+  if (!filtered.every(item => item && typeof item === 'object' && 'reasons' in item)) return null;
+
+  const counts = counter();
+  const cooccurrence = counter();
+
+  filtered.forEach(item => {
+    const reasons = Array.from(new Set([].concat(item.reasons))).sort();
+
+    reasons.forEach((reason, i) => {
+      counts[reason] = (counts[reason] || 0) + 1;
+      reasons.slice(i + 1).forEach(other => {
+        cooccurrence[reason] = cooccurrence[reason] || counter();
+        cooccurrence[reason][other] = (cooccurrence[reason][other] || 0) + 1;
+      });
+    });
+  });
+
+  return { total: filtered.length, counts, cooccurrence };
+}
+
+// Summarized arrays without a recorded breakdown only hold a sample - skip them
+function getStepReasonBreakdown(step) {
+  if (step.filterReasons) return step.filterReasons;
+  if (Array.isArray(step.filtered)) return computeReasonBreakdown(step.filtered);
+  return null;
+}
+
+// Stored breakdowns are plain parsed JSON and may carry any own key
+function mergeCounts(target, source) {
+  Object.entries(source || {}).forEach(([key, value]) => {
+    const current = own(target, key) ? target[key] : undefined;
+    if (typeof value === 'number') {
+      target[key] = (current || 0) + value;
+    } else if (value && typeof value === 'object') {
+      target[key] = mergeCounts(current || counter(), value);
+    }
+  });
+  return target;
+}
+
+/**
+ * Aggregate filter reason histograms across runs, grouped by pipeline and
+ * step name.
+ * @param {Array} runs - Runs to include (already filtered by pipeline/time)
+ * @param {Object} options - { stepName }
+ * @returns {Array} Groups sorted by total filtered, largest first
+ */
+function aggregateFilterReasons(runs, { stepName } = {}) {
+  const groups = new Map();
+
+  runs.forEach(run => {
+    run.steps.forEach(step => {
+      if (stepName && step.name !== stepName) return;
+
+      const breakdown = getStepReasonBreakdown(step);
+      const hasFiltered = step.filtered && (step.filtered._summarized || step.filtered.length > 0);
+      if (!breakdown && !hasFiltered) return;
+
+      const groupKey = `${run.pipeline}::${step.name}`;
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, {
+          pipeline: run.pipeline,
+          stepName: step.name,
+          stepCount: 0,
+          incompleteSteps: 0,
+          totalFiltered: 0,
+          counts: counter(),
+          cooccurrence: counter(),
+        });
+      }
+
+      const group = groups.get(groupKey);
+      group.stepCount++;
+
+      if (!breakdown) {
+        group.incompleteSteps++;
+        return;
+      }
+
+      group.totalFiltered += breakdown.total;
+      mergeCounts(group.counts, breakdown.counts);
+      mergeCounts(group.cooccurrence, breakdown.cooccurrence);
+    });
+  });
+
+  return Array.from(groups.values()).sort((a, b) => b.totalFiltered - a.totalFiltered);
+}
+
+module.exports = { computeReasonBreakdown, getStepReasonBreakdown, aggregateFilterReasons };
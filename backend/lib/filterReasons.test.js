@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { computeReasonBreakdown, aggregateFilterReasons } = require('./filterReasons');
+
+const runWith = step => ({ pipeline: 'demo', steps: [{ name: 'filter', ...step }] });
+
+test('breakdowns count each reason and each pair of reasons', () => {
+  const breakdown = computeReasonBreakdown([
+    { candidate: 1, reasons: ['price', 'rating'] },
+    { candidate: 2, reasons: 'price' },
+  ]);
+
+  assert.strictEqual(breakdown.total, 2);
+  assert.deepStrictEqual({ ...breakdown.counts }, { price: 2, rating: 1 });
+  assert.deepStrictEqual({ ...breakdown.cooccurrence.price }, { rating: 1 });
+});
+
+test('a __proto__ reason is counted without touching Object.prototype', () => {
+  const groups = aggregateFilterReasons([
+    runWith({ filtered: [{ candidate: 1, reasons: ['__proto__', 'isAdmin'] }] }),
+  ]);
+
+  assert.strictEqual({}.isAdmin, undefined);
+  assert.strictEqual(groups[0].counts.__proto__, 1);
+  assert.strictEqual(groups[0].cooccurrence.__proto__.isAdmin, 1);
+});
+
+test('merging a stored breakdown with an own __proto__ key stays in the group', () => {
+  const filterReasons = JSON.parse('{"total":1,"counts":{"__proto__":1},"cooccurrence":{"__proto__":{"isAdmin":1}}}');
+
+  const groups = aggregateFilterReasons([runWith({ filterReasons }), runWith({ filterReasons })]);
+
+  assert.strictEqual({}.isAdmin, undefined);
+  assert.strictEqual(groups[0].totalFiltered, 2);
+  assert.strictEqual(groups[0].counts.__proto__, 2);
+  assert.strictEqual(groups[0].cooccurrence.__proto__.isAdmin, 2);
+});
@@ -0,0 +1,156 @@
+const EventEmitter = require('events');
+const { validateEvent } = require('./eventSchema');
+
+const MAX_SEEN_EVENT_IDS = 100000;
+const MAX_PENDING_RUN_ENDS = 10000;
+
+/**
+ * Applies SDK events to a store.
+ * Each event is validated on its own, so one bad event never costs the rest
+ * of its batch.
+ *
+ * Batching and retries mean events can arrive out of order or more than
+ * once. Steps are stored immediately and attached to their run whenever it
+ * arrives (the store keeps them in sequence order). A `run_end` for an
+ * unknown run is held until its `run_start` shows up. Duplicates are
+ * recognized by event ID and, for steps, by step ID.
+ *
+ * Emits 'run_start', 'step', 'run_end' and 'heartbeat' with the stored
+ * record once an event has been applied, so indexes and listeners can
+ * follow along.
+ */
+class Ingestor extends EventEmitter {
+  constructor(store) {
+    super();
+    this.store = store;
+    this.seenEventIds = new Set();
+    this.pendingRunEnds = new Map();
+  }
+
+  /**
+   * @param {Array} events - Events from POST /api/ingest
+   * @returns {Object} { accepted, duplicates, rejected: [{ index, type, reason }] }
+   */
+  ingest(events) {
+    let accepted = 0;
+    let duplicates = 0;
+    const rejected = [];
+
+    events.forEach((event, index) => {
+      const reason = validateEvent(event);
+      if (reason) {
+        rejected.push({ index, type: event && event.type, reason });
+        return;
+      }
+
+      if (this.isDuplicate(event)) {
+        duplicates++;
+        return;
+      }
+
+      // A store or listener error loses this event only, not the rest of
+      // the batch
+      try {
+        this.apply(event);
+      } catch (error) {
+        console.error(`Ingest failed to apply ${event.type} event:`, error);
+        rejected.push({ index, type: event.type, reason: `failed to apply: ${error.message}` });
+        return;
+      }
+      this.markSeen(event);
+      accepted++;
+    });
+
+    return { accepted, duplicates, rejected };
+  }
+
+  isDuplicate({ eventId, type, data }) {
+    if (eventId && this.seenEventIds.has(eventId)) return true;
+    if (type === 'step') return Boolean(this.store.getStep(data.stepId));
+    if (type === 'run_start') return Boolean(this.store.getRun(data.runId));
+    return false;
+  }
+
+  markSeen({ eventId }) {
+    if (!eventId) return;
+
+    this.seenEventIds.add(eventId);
+    // Sets iterate in insertion order, so this evicts the oldest ID
+    if (this.seenEventIds.size > MAX_SEEN_EVENT_IDS) {
+      this.seenEventIds.delete(this.seenEventIds.values().next().value);
+    }
+  }
+
+  apply({ type, data }) {
+    switch (type) {
+      case 'run_start':
+        const run = this.store.createRun({
+          runId: data.runId,
+          pipeline: data.pipeline,
+          input: data.input,
+          metadata: data.metadata,
+          startTime: data.timestamp,
+          steps: [],
+          status: 'running',
+        });
+        this.emit('run_start', run);
+
+        if (this.pendingRunEnds.has(data.runId)) {
+          const runEnd = this.pendingRunEnds.get(data.runId);
+          this.pendingRunEnds.delete(data.runId);
+          this.endRun(runEnd);
+        }
+        break;
+
+      case 'step':
+        this.emit('step', this.store.addStep(data));
+        break;
+
+      case 'run_end':
+        if (!this.store.getRun(data.runId)) {
+          this.deferRunEnd(data);
+        } else {
+          this.endRun(data);
+        }
+        break;
+
+      case 'heartbeat':
+        this.heartbeat(data);
+        break;
+    }
+  }
+
+  // A late run_end still applies to a run marked timed_out or abandoned:
+  // the pipeline's own outcome is better information than the timeout
+  endRun(data) {
+    const run = this.store.updateRun(data.runId, {
+      // The SDK always sends a status; older clients may not
+      status: data.status || 'success',
+      statusReason: data.reason,
+      output: data.output,
+      error: data.error,
+      duration: data.duration,
+      endTime: data.timestamp,
+    });
+    this.emit('run_end', run);
+  }
+
+  heartbeat(data) {
+    const run = this.store.getRun(data.runId);
+    // Heartbeats for ended or not yet started runs change nothing
+    if (!run || run.status !== 'running') return;
+
+    this.emit('heartbeat', this.store.updateRun(data.runId, { lastHeartbeat: data.timestamp || new Date().toISOString() }));
+  }
+
+  deferRunEnd(data) {
+    this.pendingRunEnds.set(data.runId, data);
+    if (this.pendingRunEnds.size > MAX_PENDING_RUN_ENDS) {
+      const oldest = this.pendingRunEnds.keys().next().value;
+      this.pendingRunEnds.delete(oldest);
+      console.warn(`Dropped run_end for ${oldest}: its run_start never arrived`);
+    }
+  }
+}
+
+module.exports = Ingestor;
@@ -0,0 +1,160 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Ingestor = require('./ingest');
+const MemoryStore = require('../storage/MemoryStore');
+
+const runStart = (runId, extra = {}) => ({
+  type: 'run_start',
+  data: { runId, pipeline: 'demo', timestamp: '2024-01-01T00:00:00.000Z', ...extra },
+});
+const step = (stepId, runId, extra = {}) => ({
+  type: 'step',
+  data: { stepId, runId, name: stepId, timestamp: '2024-01-01T00:00:01.000Z', ...extra },
+});
+const runEnd = (runId, extra = {}) => ({
+  type: 'run_end',
+  data: { runId, status: 'success', timestamp: '2024-01-01T00:00:05.000Z', ...extra },
+});
+
+const setup = () => {
+  const store = new MemoryStore();
+  return { store, ingestor: new Ingestor(store) };
+};
+
+test('steps that arrive before their run are attached when it starts', () => {
+  const { store, ingestor } = setup();
+
+  ingestor.ingest([step('step_1', 'run_1')]);
+  assert.strictEqual(store.getRun('run_1'), null);
+
+  ingestor.ingest([runStart('run_1')]);
+  assert.deepStrictEqual(store.getRun('run_1').steps.map(s => s.stepId), ['step_1']);
+});
+
+test('a run_end before its run_start is held until the run starts', () => {
+  const { store, ingestor } = setup();
+  const ended = [];
+  ingestor.on('run_end', run => ended.push(run.runId));
+
+  const result = ingestor.ingest([runEnd('run_1', { status: 'error' })]);
+  assert.strictEqual(result.accepted, 1);
+  assert.deepStrictEqual(ended, []);
+
+  ingestor.ingest([runStart('run_1')]);
+  assert.strictEqual(store.getRun('run_1').status, 'error');
+  assert.strictEqual(store.getRun('run_1').endTime, '2024-01-01T00:00:05.000Z');
+  assert.deepStrictEqual(ended, ['run_1']);
+});
+
+test('a run_end in the same batch ahead of its run_start still ends the run', () => {
+  const { store, ingestor } = setup();
+
+  ingestor.ingest([runEnd('run_1'), step('step_1', 'run_1'), runStart('run_1')]);
+
+  assert.strictEqual(store.getRun('run_1').status, 'success');
+  assert.strictEqual(store.getRun('run_1').steps.length, 1);
+});
+
+test('run_end without a status defaults to success', () => {
+  const { store, ingestor } = setup();
+
+  ingestor.ingest([runStart('run_1'), runEnd('run_1', { status: undefined })]);
+
+  assert.strictEqual(store.getRun('run_1').status, 'success');
+});
+
+test('repeated event IDs are counted as duplicates', () => {
+  const { ingestor } = setup();
+  const heartbeat = { eventId: 'evt_1', type: 'heartbeat', data: { runId: 'run_1' } };
+
+  ingestor.ingest([runStart('run_1')]);
+  const first = ingestor.ingest([heartbeat]);
+  const second = ingestor.ingest([heartbeat]);
+
+  assert.deepStrictEqual([first.accepted, first.duplicates], [1, 0]);
+  assert.deepStrictEqual([second.accepted, second.duplicates], [0, 1]);
+});
+
+test('steps and run_starts are recognized by ID without an event ID', () => {
+  const { store, ingestor } = setup();
+  const steps = [];
+  ingestor.on('step', s => steps.push(s.stepId));
+
+  ingestor.ingest([runStart('run_1'), step('step_1', 'run_1')]);
+  const result = ingestor.ingest([
+    runStart('run_1', { pipeline: 'other' }),
+    step('step_1', 'run_1', { name: 'renamed' }),
+  ]);
+
+  assert.deepStrictEqual(result, { accepted: 0, duplicates: 2, rejected: [] });
+  assert.strictEqual(store.getRun('run_1').pipeline, 'demo');
+  assert.strictEqual(store.getStep('step_1').name, 'step_1');
+  assert.deepStrictEqual(steps, ['step_1']);
+});
+
+test('steps are kept in sequence order whatever order they arrive in', () => {
+  const { store, ingestor } = setup();
+
+  ingestor.ingest([
+    runStart('run_1'),
+    step('step_c', 'run_1', { sequence: 2 }),
+    step('step_a', 'run_1', { sequence: 0 }),
+  ]);
+  ingestor.ingest([step('step_b', 'run_1', { sequence: 1 })]);
+
+  assert.deepStrictEqual(store.getRun('run_1').steps.map(s => s.stepId), ['step_a', 'step_b', 'step_c']);
+});
+
+test('steps without a sequence fall back to timestamp order', () => {
+  const { store, ingestor } = setup();
+
+  ingestor.ingest([
+    runStart('run_1'),
+    step('late', 'run_1', { timestamp: '2024-01-01T00:00:03.000Z' }),
+    step('early', 'run_1', { timestamp: '2024-01-01T00:00:02.000Z' }),
+  ]);
+
+  assert.deepStrictEqual(store.getRun('run_1').steps.map(s => s.stepId), ['early', 'late']);
+});
+
+test('invalid events are rejected without losing the rest of the batch', () => {
+  const { store, ingestor } = setup();
+
+  const result = ingestor.ingest([runStart('run_1'), { type: 'step', data: { runId: 'run_1' } }, step('step_1', 'run_1')]);
+
+  assert.strictEqual(result.accepted, 2);
+  assert.strictEqual(result.rejected.length, 1);
+  assert.strictEqual(result.rejected[0].index, 1);
+  assert.strictEqual(store.getRun('run_1').steps.length, 1);
+});
+
+test('a listener error rejects only its own event, which can then be retried', () => {
+  const { ingestor } = setup();
+  const originalError = console.error;
+  console.error = () => {};
+  let fail = true;
+  ingestor.on('heartbeat', () => {
+    if (fail) throw new Error('listener broke');
+  });
+  const heartbeat = { eventId: 'evt_1', type: 'heartbeat', data: { runId: 'run_1' } };
+
+  try {
+    const result = ingestor.ingest([runStart('run_1'), heartbeat, step('step_1', 'run_1')]);
+    assert.strictEqual(result.accepted, 2);
+    assert.deepStrictEqual(result.rejected, [{ index: 1, type: 'heartbeat', reason: 'failed to apply: listener broke' }]);
+  } finally {
+    console.error = originalError;
+  }
+
+  fail = false;
+  assert.strictEqual(ingestor.ingest([heartbeat]).accepted, 1);
+});
+
+test('heartbeats for ended runs change nothing', () => {
+  const { store, ingestor } = setup();
+
+  ingestor.ingest([runStart('run_1'), runEnd('run_1')]);
+  ingestor.ingest([{ type: 'heartbeat', data: { runId: 'run_1', timestamp: '2024-01-01T00:01:00.000Z' } }]);
+
+  assert.strictEqual(store.getRun('run_1').lastHeartbeat, undefined);
+});
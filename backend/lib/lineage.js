@@ -0,0 +1,106 @@
+const { getPath } = require('./paths');
+const { compareSteps } = require('./stepOrder');
+
+const matches = (item, key, itemId) =>
+  item !== null && typeof item === 'object' && String(getPath(item, key)) === String(itemId);
+
+// Recorded arrays are either plain arrays or summarized `{ _summarized, sample }`.
+// Anything else (only possible in data stored before ingest checked it) is
+// treated as unrecorded.
+const recordedItems = list => {
+  if (!list) return { items: [], complete: true };
+  if (Array.isArray(list)) return { items: list, complete: true };
+  if (list._summarized && Array.isArray(list.sample)) {
+    const indices = Array.isArray(list.sampleIndices) ? list.sampleIndices : undefined;
+    return { items: list.sample, indices, complete: false };
+  }
+  return { items: [], complete: false };
+};
+
+// 1-based position in the original array, using sample indices when present
+const originalPosition = (recorded, sampleIndex) =>
+  (recorded.indices ? recorded.indices[sampleIndex] : sampleIndex) + 1;
+
+// Score-like fields (score, relevanceScore, finalScore, ...) of an item
+const extractScores = item => {
+  const scores = {};
+  Object.entries(item).forEach(([field, value]) => {
+    if (typeof value === 'number' && /score$/i.test(field)) {
+      scores[field] = value;
+    }
+  });
+  return scores;
+};
+
+function traceStep(step, key, itemId) {
+  const entry = {
+    stepId: step.stepId,
+    name: step.name,
+    type: step.type,
+    depth: step.depth || 0,
+    timestamp: step.timestamp,
+  };
+
+  const selected = step.output && step.output.selected;
+  if (matches(selected, key, itemId)) {
+    return { ...entry, status: 'selected', scores: extractScores(selected) };
+  }
+
+  const candidates = recordedItems(step.candidates);
+  const position = candidates.items.findIndex(item => matches(item, key, itemId));
+  if (position !== -1) {
+    const item = candidates.items[position];
+    return {
+      ...entry,
+      status: 'candidate',
+      position: originalPosition(candidates, position),
+      scores: extractScores(item),
+    };
+  }
+
+  const filtered = recordedItems(step.filtered);
+  const elimination = filtered.items.find(item => item && matches(item.candidate, key, itemId));
+  if (elimination) {
+    return { ...entry, status: 'filtered', reasons: [].concat(elimination.reasons || []) };
+  }
+
+  // Only a sample was recorded, so absence proves nothing
+  if (!candidates.complete || !filtered.complete) {
+    return { ...entry, status: 'not_recorded' };
+  }
+
+  return { ...entry, status: 'absent' };
+}
+
+/**
+ * Follow one item through every step of a run.
+ * @param {Object} run - Run with its steps
+ * @param {string} itemId - Value of the identifying field
+ * @param {string} key - Identifying field (dot paths allowed)
+ * @returns {Object} { path, outcome } where outcome is selected, filtered,
+ *   candidate (survived but not selected) or never_seen
+ */
+function traceItem(run, itemId, key) {
+  const steps = [...run.steps].sort(compareSteps);
+  const path = steps.map(step => traceStep(step, key, itemId));
+
+  const seen = path.filter(entry => ['selected', 'candidate', 'filtered'].includes(entry.status));
+  let outcome = 'never_seen';
+  if (seen.some(entry => entry.status === 'selected')) {
+    outcome = 'selected';
+  } else if (seen.some(entry => entry.status === 'filtered')) {
+    outcome = 'filtered';
+  } else if (seen.length > 0) {
+    outcome = 'candidate';
+  }
+
+  const lastSeen = seen.length > 0 ? seen[seen.length - 1] : null;
+
+  return {
+    outcome,
+    lastSeenStep: lastSeen ? lastSeen.name : null,
+    path,
+  };
+}
+
+module.exports = { traceItem, recordedItems };
@@ -0,0 +1,69 @@
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Pushes ingested events to Server-Sent Events clients.
+ *
+ * Each client can narrow the stream to some pipelines or to one run. Steps
+ * that arrive before their run have no known pipeline yet, so only clients
+ * that did not filter by pipeline see them.
+ */
+class LiveStream {
+  constructor({ heartbeatMs = HEARTBEAT_MS } = {}) {
+    this.clients = new Set();
+
+    // Comment lines keep idle connections from being closed by proxies
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => client.res.write(': ping\n\n'));
+    }, heartbeatMs);
+    if (this.heartbeat.unref) this.heartbeat.unref();
+  }
+
+  get size() {
+    return this.clients.size;
+  }
+
+  /**
+   * Hold an HTTP response open as an event stream until the client leaves.
+   * @param {Object} req
+   * @param {Object} res
+   * @param {Object} filters - { pipelines: [name], runId }
+   */
+  subscribe(req, res, { pipelines = [], runId } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    // Reconnect after 3s if the connection drops
+    res.write('retry: 3000\n\n');
+
+    const client = { res, pipelines, runId };
+    this.clients.add(client);
+    req.on('close', () => this.clients.delete(client));
+  }
+
+  /**
+   * Send an event to every client whose filters match.
+   * @param {string} type - run_start, step or run_end
+   * @param {Object} payload
+   * @param {Object} source - { pipeline, runId } of the event
+   */
+  publish(type, payload, { pipeline, runId }) {
+    if (this.clients.size === 0) return;
+
+    const message = `event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+    this.clients.forEach(client => {
+      if (client.runId && client.runId !== runId) return;
+      if (client.pipelines.length > 0 && !client.pipelines.includes(pipeline)) return;
+      client.res.write(message);
+    });
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    this.clients.forEach(client => client.res.end());
+    this.clients.clear();
+  }
+}
+
+module.exports = LiveStream;
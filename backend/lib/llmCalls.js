@@ -0,0 +1,93 @@
+/**
+ * Usage and cost of the LLM calls steps record in `step.llmCalls`.
+ *
+ * Prices are USD per million tokens, per model, from `llm.pricing` in the
+ * config: { "gpt-4o-mini": { "prompt": 0.15, "completion": 0.6 } }. A model
+ * without an exact entry uses the longest configured prefix, so dated
+ * versions like "gpt-4o-mini-2024-07-18" are priced too.
+ */
+
+const num = value => (typeof value === 'number' && !isNaN(value) ? value : null);
+
+// Steps stored before llmCalls elements were validated may hold anything
+const isCall = call => call !== null && typeof call === 'object' && !Array.isArray(call);
+const callsOf = step => (Array.isArray(step.llmCalls) ? step.llmCalls.filter(isCall) : []);
+
+function priceFor(model, pricing = {}) {
+  if (!model) return null;
+  if (pricing[model]) return pricing[model];
+
+  const prefix = Object.keys(pricing)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing[prefix] : null;
+}
+
+/**
+ * Cost of one call: the cost the SDK recorded, else tokens times the
+ * model's price. null when neither is known.
+ */
+function callCost(call, pricing) {
+  if (!isCall(call)) return null;
+  if (num(call.cost) !== null) return call.cost;
+
+  const price = priceFor(call.model, pricing);
+  const usage = call.usage || {};
+  if (!price || num(usage.promptTokens) === null || num(usage.completionTokens) === null) {
+    return null;
+  }
+  return (usage.promptTokens * (price.prompt || 0) + usage.completionTokens * (price.completion || 0)) / 1e6;
+}
+
+/**
+ * One flat record per call, for queries and aggregations.
+ * @returns {Array} [{ runId, stepId, stepName, pipeline, model, promptTokens,
+ *   completionTokens, totalTokens, cost, latencyMs, error, timestamp }]
+ */
+function llmCallRecords(step, pipeline, pricing) {
+  const records = [];
+  (Array.isArray(step.llmCalls) ? step.llmCalls : []).forEach((call, index) => {
+    if (!isCall(call)) return;
+
+    const usage = call.usage || {};
+    records.push({
+      runId: step.runId,
+      stepId: step.stepId,
+      stepName: step.name,
+      pipeline,
+      index,
+      model: call.model || null,
+      parameters: call.parameters || {},
+      promptTokens: num(usage.promptTokens),
+      completionTokens: num(usage.completionTokens),
+      totalTokens: num(usage.totalTokens),
+      cost: callCost(call, pricing),
+      latencyMs: num(call.latencyMs),
+      error: call.error || null,
+      timestamp: step.timestamp,
+    });
+  });
+  return records;
+}
+
+/**
+ * Per-step totals. llmCost is null when no call could be priced.
+ */
+function llmStepMetrics(step, pricing) {
+  const calls = callsOf(step);
+  const costs = calls.map(call => callCost(call, pricing)).filter(cost => cost !== null);
+
+  return {
+    llmCallCount: calls.length,
+    llmTokens: calls.reduce((sum, call) => sum + (num(call.usage && call.usage.totalTokens) || 0), 0),
+    llmCost: costs.length > 0 ? costs.reduce((a, b) => a + b, 0) : null,
+  };
+}
+
+// Step with each call's cost filled in, for display
+function withCallCosts(step, pricing) {
+  if (!step.llmCalls) return step;
+  return { ...step, llmCalls: callsOf(step).map(call => ({ ...call, cost: callCost(call, pricing) })) };
+}
+
+module.exports = { callCost, priceFor, llmCallRecords, llmStepMetrics, withCallCosts };
@@ -0,0 +1,36 @@
+/**
+ * Derived per-record metrics, exposed to queries and aggregations as
+ * ordinary fields.
+ */
+
+// Works for both full arrays and SDK summaries ({ _summarized, total })
+const itemCount = items => {
+  if (Array.isArray(items)) return items.length;
+  return items && items._summarized && typeof items.total === 'number' ? items.total : 0;
+};
+
+/**
+ * Candidate counts and elimination rate (0-100) for a step.
+ * eliminationRate is null when the step recorded no candidates at all.
+ */
+function stepMetrics(step) {
+  const candidateCount = itemCount(step.candidates);
+  const filteredCount = itemCount(step.filtered);
+  const totalInput = candidateCount + filteredCount;
+
+  return {
+    candidateCount,
+    filteredCount,
+    eliminationRate: totalInput > 0 ? (filteredCount / totalInput) * 100 : null,
+  };
+}
+
+function runMetrics(run) {
+  const steps = run.steps || [];
+  return {
+    stepCount: steps.length,
+    errorStepCount: steps.filter(step => step.status === 'error').length,
+  };
+}
+
+module.exports = { stepMetrics, runMetrics, itemCount };
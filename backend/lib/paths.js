@@ -0,0 +1,24 @@
+// Segments that lead to an object's prototype rather than its own data
+const UNSAFE_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Read a dot-separated path (e.g. `metadata.sellerId`) from an object.
+ * Returns undefined when any segment is missing.
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    obj
+  );
+}
+
+/**
+ * Whether a user-supplied path stays within a record's own data.
+ * Paths through `__proto__`, `constructor` or `prototype` could otherwise
+ * read or write shared prototypes.
+ */
+function isSafePath(path) {
+  return path.split('.').every(key => !UNSAFE_SEGMENTS.includes(key));
+}
+
+module.exports = { getPath, isSafePath };
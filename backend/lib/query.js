@@ -0,0 +1,310 @@
+const { getPath, isSafePath } = require('./paths');
+
+/**
+ * A small filter language for runs and steps.
+ *
+ *   metadata.sellerId = "seller_456" AND output.passed < 5
+ *   status IN ("error", "running") OR NOT metadata.retry EXISTS
+ *
+ * Fields are dot paths into the record (`steps.length` works for arrays).
+ * Operators: = != < <= > >= IN, NOT IN, EXISTS, NOT EXISTS, combined with
+ * AND, OR, NOT and parentheses. Values are quoted strings, numbers, true,
+ * false or null. Keywords are case-insensitive. Paths through `__proto__`,
+ * `constructor` or `prototype` are refused.
+ */
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+const checkPath = (path, position) => {
+  if (!isSafePath(path)) {
+    throw new QuerySyntaxError(`Field '${path}' is not allowed`, position);
+  }
+};
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'IN', 'EXISTS', 'TRUE', 'FALSE', 'NULL'];
+const COMPARISONS = ['=', '!=', '<', '<=', '>', '>='];
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ kind: char, position: i });
+      i++;
+    } else if ('=!<>'.includes(char)) {
+      const op = source.slice(i, i + 2);
+      if (COMPARISONS.includes(op)) {
+        tokens.push({ kind: 'op', value: op, position: i });
+        i += 2;
+      } else if (COMPARISONS.includes(char)) {
+        tokens.push({ kind: 'op', value: char, position: i });
+        i++;
+      } else {
+        throw new QuerySyntaxError(`Unexpected '${char}'`, i);
+      }
+    } else if (char === '"' || char === "'") {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i];
+        i++;
+      }
+      if (i >= source.length) {
+        throw new QuerySyntaxError('Unterminated string', start);
+      }
+      tokens.push({ kind: 'value', value, position: start });
+      i++;
+    } else if (/[-\d]/.test(char)) {
+      const match = /^-?\d+(\.\d+)?([eE][-+]?\d+)?/.exec(source.slice(i));
+      if (!match) {
+        throw new QuerySyntaxError(`Unexpected '${char}'`, i);
+      }
+      tokens.push({ kind: 'value', value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const match = /^[A-Za-z_$][\w$]*(\.[\w$]+)*/.exec(source.slice(i));
+      const word = match[0];
+      const upper = word.toUpperCase();
+
+      if (upper === 'TRUE' || upper === 'FALSE') {
+        tokens.push({ kind: 'value', value: upper === 'TRUE', position: i });
+      } else if (upper === 'NULL') {
+        tokens.push({ kind: 'value', value: null, position: i });
+      } else if (KEYWORDS.includes(upper)) {
+        tokens.push({ kind: upper, position: i });
+      } else {
+        checkPath(word, i);
+        tokens.push({ kind: 'field', value: word, position: i });
+      }
+      i += word.length;
+    } else {
+      throw new QuerySyntaxError(`Unexpected '${char}'`, i);
+    }
+  }
+
+  tokens.push({ kind: 'end', position: source.length });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a tree of
+ * { and: [..] } / { or: [..] } / { not: node } / { field, op, value(s) } nodes.
+ */
+function parse(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const accept = kind => (tokens[pos].kind === kind ? tokens[pos++] : null);
+  const expect = (kind, description) => {
+    const token = accept(kind);
+    if (!token) {
+      throw new QuerySyntaxError(`Expected ${description}`, peek().position);
+    }
+    return token;
+  };
+
+  const parseOr = () => {
+    const terms = [parseAnd()];
+    while (accept('OR')) terms.push(parseAnd());
+    return terms.length === 1 ? terms[0] : { or: terms };
+  };
+
+  const parseAnd = () => {
+    const terms = [parseNot()];
+    while (accept('AND')) terms.push(parseNot());
+    return terms.length === 1 ? terms[0] : { and: terms };
+  };
+
+  const parseNot = () => (accept('NOT') ? { not: parseNot() } : parsePrimary());
+
+  const parsePrimary = () => {
+    if (accept('(')) {
+      const node = parseOr();
+      expect(')', "')'");
+      return node;
+    }
+
+    const field = expect('field', 'a field name').value;
+
+    if (accept('EXISTS')) return { field, op: 'exists' };
+
+    const negated = Boolean(accept('NOT'));
+    if (negated) {
+      if (accept('EXISTS')) return { not: { field, op: 'exists' } };
+      if (peek().kind !== 'IN') {
+        throw new QuerySyntaxError('Expected IN or EXISTS after NOT', peek().position);
+      }
+    }
+
+    if (accept('IN')) {
+      expect('(', "'(' after IN");
+      const values = [expect('value', 'a value').value];
+      while (accept(',')) values.push(expect('value', 'a value').value);
+      expect(')', "')'");
+      const node = { field, op: 'in', values };
+      return negated ? { not: node } : node;
+    }
+
+    const op = expect('op', 'an operator').value;
+    const value = expect('value', 'a value').value;
+    return { field, op, value };
+  };
+
+  const tree = parseOr();
+  if (peek().kind !== 'end') {
+    throw new QuerySyntaxError('Unexpected input', peek().position);
+  }
+  return tree;
+}
+
+const equals = (a, b) => a === b || (a === undefined && b === null);
+
+// Ordering only applies to two numbers or two strings (ISO timestamps
+// compare correctly as strings); anything else does not match
+const ordered = (a, b, test) => {
+  const comparable = (typeof a === 'number' && typeof b === 'number')
+    || (typeof a === 'string' && typeof b === 'string');
+  return comparable && test(a < b ? -1 : a > b ? 1 : 0);
+};
+
+function evaluate(node, record) {
+  if (node.and) return node.and.every(term => evaluate(term, record));
+  if (node.or) return node.or.some(term => evaluate(term, record));
+  if (node.not) return !evaluate(node.not, record);
+
+  const actual = getPath(record, node.field);
+
+  switch (node.op) {
+    case 'exists': return actual !== undefined && actual !== null;
+    case 'in': return node.values.some(value => equals(actual, value));
+    case '=': return equals(actual, node.value);
+    case '!=': return !equals(actual, node.value);
+    case '<': return ordered(actual, node.value, c => c < 0);
+    case '<=': return ordered(actual, node.value, c => c <= 0);
+    case '>': return ordered(actual, node.value, c => c > 0);
+    case '>=': return ordered(actual, node.value, c => c >= 0);
+    default: return false;
+  }
+}
+
+/**
+ * Compile a filter expression into a predicate.
+ * An empty expression matches everything.
+ * @throws {QuerySyntaxError}
+ */
+function compileFilter(source) {
+  if (source !== undefined && source !== null && typeof source !== 'string') {
+    throw new QuerySyntaxError('Filter expression must be a string');
+  }
+  if (!source || !source.trim()) return () => true;
+
+  const tree = parse(source);
+  return record => evaluate(tree, record);
+}
+
+/**
+ * Parse a sort spec like `startTime:desc,pipeline` into comparator fields.
+ */
+function parseSort(spec) {
+  if (!spec) return [];
+  if (typeof spec !== 'string') {
+    throw new QuerySyntaxError('Sort must be a string');
+  }
+
+  return spec.split(',').map(part => {
+    const [field, direction = 'asc'] = part.trim().split(':');
+    if (!field || !['asc', 'desc'].includes(direction.toLowerCase())) {
+      throw new QuerySyntaxError(`Invalid sort '${part}'`);
+    }
+    checkPath(field);
+    return { field, descending: direction.toLowerCase() === 'desc' };
+  });
+}
+
+// Missing values sort last in either direction
+function compareBy(sortFields) {
+  return (a, b) => {
+    for (const { field, descending } of sortFields) {
+      const x = getPath(a, field);
+      const y = getPath(b, field);
+      if (x === y) continue;
+      if (x === undefined || x === null) return 1;
+      if (y === undefined || y === null) return -1;
+
+      const result = x < y ? -1 : x > y ? 1 : 0;
+      if (result !== 0) return descending ? -result : result;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Keep only the listed dot paths, rebuilding nested objects as needed.
+ */
+function project(record, fields) {
+  if (!fields || fields.length === 0) return record;
+
+  const result = {};
+  fields.forEach(field => {
+    // runQuery refuses these; never walk into a prototype regardless
+    if (!isSafePath(field)) return;
+
+    const value = getPath(record, field);
+    if (value === undefined) return;
+
+    const keys = field.split('.');
+    let target = result;
+    keys.slice(0, -1).forEach(key => {
+      if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  });
+  return result;
+}
+
+/**
+ * Filter, sort, paginate and project a list of records.
+ * @param {Array} records
+ * @param {Object} options - { where, sort, fields, limit, offset }
+ * @returns {Object} { results, total }
+ * @throws {QuerySyntaxError}
+ */
+function runQuery(records, { where, sort, fields, limit = 100, offset = 0 } = {}) {
+  const predicate = compileFilter(where);
+  const sortFields = parseSort(sort);
+  (fields || []).forEach(field => checkPath(field));
+
+  const matched = records.filter(predicate);
+  if (sortFields.length > 0) {
+    matched.sort(compareBy(sortFields));
+  }
+
+  return {
+    results: matched.slice(offset, offset + limit).map(record => project(record, fields)),
+    total: matched.length,
+  };
+}
+
+module.exports = {
+  QuerySyntaxError,
+  compileFilter,
+  parseSort,
+  compareBy,
+  project,
+  runQuery,
+};
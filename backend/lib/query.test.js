@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { QuerySyntaxError, compileFilter, parseSort, project, runQuery } = require('./query');
+
+const runs = [
+  { runId: 'a', status: 'success', steps: [1, 2, 3], metadata: { sellerId: 'seller_1', retry: true }, output: { passed: 2 } },
+  { runId: 'b', status: 'error', steps: [], metadata: { sellerId: 'seller_2' }, output: { passed: 7 } },
+  { runId: 'c', status: 'running', steps: [1], metadata: { sellerId: 'seller_1', retry: null } },
+];
+
+const matching = where => runs.filter(compileFilter(where)).map(run => run.runId);
+
+test('comparison operators', () => {
+  assert.deepStrictEqual(matching('status = "error"'), ['b']);
+  assert.deepStrictEqual(matching("status != 'error'"), ['a', 'c']);
+  assert.deepStrictEqual(matching('output.passed < 5'), ['a']);
+  assert.deepStrictEqual(matching('output.passed <= 7'), ['a', 'b']);
+  assert.deepStrictEqual(matching('output.passed > 2'), ['b']);
+  assert.deepStrictEqual(matching('output.passed >= 2'), ['a', 'b']);
+  assert.deepStrictEqual(matching('steps.length = 0'), ['b']);
+});
+
+test('ordering only compares numbers with numbers and strings with strings', () => {
+  assert.deepStrictEqual(matching('output.passed < "5"'), []);
+  assert.deepStrictEqual(matching('metadata.sellerId > "seller_1"'), ['b']);
+});
+
+test('null matches missing values', () => {
+  assert.deepStrictEqual(matching('output = null'), ['c']);
+  assert.deepStrictEqual(matching('metadata.retry = TRUE'), ['a']);
+});
+
+test('IN, NOT IN, EXISTS and NOT EXISTS', () => {
+  assert.deepStrictEqual(matching('status IN ("error", "running")'), ['b', 'c']);
+  assert.deepStrictEqual(matching('status not in ("error", "running")'), ['a']);
+  assert.deepStrictEqual(matching('metadata.retry EXISTS'), ['a']);
+  assert.deepStrictEqual(matching('metadata.retry NOT EXISTS'), ['b', 'c']);
+});
+
+test('AND binds tighter than OR, and NOT tighter than both', () => {
+  assert.deepStrictEqual(matching('status = "error" OR status = "running" AND metadata.sellerId = "seller_2"'), ['b']);
+  assert.deepStrictEqual(matching('(status = "error" OR status = "running") AND metadata.sellerId = "seller_1"'), ['c']);
+  assert.deepStrictEqual(matching('NOT status = "error" AND steps.length > 0'), ['a', 'c']);
+  assert.deepStrictEqual(matching('NOT (status = "error" OR steps.length > 1)'), ['c']);
+});
+
+test('an empty expression matches everything', () => {
+  assert.deepStrictEqual(matching(''), ['a', 'b', 'c']);
+  assert.deepStrictEqual(matching('   '), ['a', 'b', 'c']);
+  assert.deepStrictEqual(matching(undefined), ['a', 'b', 'c']);
+});
+
+test('string escapes', () => {
+  const predicate = compileFilter('name = "say \\"hi\\""');
+  assert.strictEqual(predicate({ name: 'say "hi"' }), true);
+});
+
+test('syntax errors report where they happened', () => {
+  const cases = [
+    ['status = "error', 'Unterminated string', 9],
+    ['status ~ 1', "Unexpected '~'", 7],
+    ['status =', 'Expected a value', 8],
+    ['status', 'Expected an operator', 6],
+    ['= 1', 'Expected a field name', 0],
+    ['(status = 1', "Expected ')'", 11],
+    ['status = 1 status = 2', 'Unexpected input', 11],
+    ['status NOT = 1', 'Expected IN or EXISTS after NOT', 11],
+    ['status IN "a"', "Expected '(' after IN", 10],
+  ];
+
+  cases.forEach(([source, message, position]) => {
+    assert.throws(() => compileFilter(source), error => {
+      assert.ok(error instanceof QuerySyntaxError, source);
+      assert.strictEqual(error.position, position, source);
+      assert.strictEqual(error.message, `${message} at position ${position}`, source);
+      return true;
+    });
+  });
+});
+
+test('non-string filters raise QuerySyntaxError', () => {
+  assert.throws(() => compileFilter(['status = 1']), QuerySyntaxError);
+  assert.throws(() => compileFilter({ status: 1 }), QuerySyntaxError);
+});
+
+test('parseSort', () => {
+  assert.deepStrictEqual(parseSort('startTime:desc, pipeline'), [
+    { field: 'startTime', descending: true },
+    { field: 'pipeline', descending: false },
+  ]);
+  assert.deepStrictEqual(parseSort('status:ASC'), [{ field: 'status', descending: false }]);
+  assert.deepStrictEqual(parseSort(''), []);
+  assert.throws(() => parseSort('status:sideways'), /Invalid sort 'status:sideways'/);
+  assert.throws(() => parseSort('status,,pipeline'), QuerySyntaxError);
+  assert.throws(() => parseSort(['status']), QuerySyntaxError);
+});
+
+test('runQuery sorts missing values last, then pages and projects', () => {
+  const { results, total } = runQuery(runs, {
+    sort: 'output.passed:desc',
+    fields: ['runId', 'output.passed'],
+    limit: 2,
+    offset: 1,
+  });
+
+  assert.strictEqual(total, 3);
+  assert.deepStrictEqual(results, [{ runId: 'a', output: { passed: 2 } }, { runId: 'c' }]);
+});
+
+test('paths into prototypes are refused everywhere', () => {
+  assert.throws(() => compileFilter('metadata.__proto__.polluted = "yes"'), /Field 'metadata.__proto__.polluted' is not allowed at position 0/);
+  assert.throws(() => compileFilter('status = 1 AND constructor.name EXISTS'), QuerySyntaxError);
+  assert.throws(() => parseSort('metadata.constructor.prototype:desc'), QuerySyntaxError);
+  assert.throws(() => runQuery(runs, { fields: ['runId', 'metadata.__proto__.polluted'] }), QuerySyntaxError);
+});
+
+test('projecting a record with an own __proto__ key leaves Object.prototype alone', () => {
+  const record = JSON.parse('{"metadata": {"__proto__": {"polluted": "yes"}}}');
+
+  project(record, ['metadata.__proto__.polluted']);
+
+  assert.strictEqual({}.polluted, undefined);
+});
@@ -0,0 +1,106 @@
+const { getStepReasonBreakdown } = require('./filterReasons');
+const { itemCount } = require('./metrics');
+const { toMs } = require('./runTimeouts');
+
+/**
+ * Retention rules for finished runs.
+ *
+ * Rules come from `retention.rules` in the config and are matched in order;
+ * the first rule whose `pipeline` and `status` (both optional) fit a run
+ * applies to it:
+ *
+ *   { "status": "error", "deleteAfterDays": 90 }
+ *   { "status": "success", "compactAfterDays": 1, "deleteAfterDays": 7 }
+ *
+ * Compacting a run replaces the `candidates` and `filtered` arrays of its
+ * steps with the same `{ _summarized, total }` shape the SDK sends for large
+ * arrays, minus the sample, so counts, elimination rates and filter reason
+ * histograms survive. Runs matched by no rule, and running runs, are kept.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HEAVY_FIELDS = ['candidates', 'filtered'];
+
+function ruleFor(run, rules = []) {
+  return rules.find(rule => (!rule.pipeline || rule.pipeline === run.pipeline)
+    && (!rule.status || rule.status === run.status)) || null;
+}
+
+/**
+ * Changes that drop a step's heavy payloads, or null if it has none.
+ * The filter reason histogram is computed first so it outlives `filtered`.
+ */
+function compactStep(step) {
+  const changes = {};
+
+  HEAVY_FIELDS.forEach(field => {
+    const items = step[field];
+    if (!items || typeof items !== 'object' || items._compacted) return;
+
+    changes[field] = {
+      _summarized: true,
+      _compacted: true,
+      total: itemCount(items),
+      sample: [],
+      sampleIndices: [],
+      sampleSize: 0,
+    };
+    if (items._summarized && items.summary) changes[field].summary = items.summary;
+  });
+
+  if (Object.keys(changes).length === 0) return null;
+
+  if (!step.filterReasons && changes.filtered) {
+    const breakdown = getStepReasonBreakdown(step);
+    if (breakdown) changes.filterReasons = breakdown;
+  }
+  return changes;
+}
+
+/**
+ * Apply the rules to every finished run in the store.
+ * @param {Object} store
+ * @param {Object} config - { rules }
+ * @param {number} now - Current time in ms
+ * @param {Object} options - { onRemove(run) } called after each run is deleted
+ * @returns {Object} { removedRuns, removedSteps, compactedRuns, compactedSteps }
+ *   where the run lists hold { runId, pipeline, status }
+ */
+function enforceRetention(store, config, now, { onRemove } = {}) {
+  const report = { removedRuns: [], removedSteps: 0, compactedRuns: [], compactedSteps: 0 };
+  if (!config.rules || config.rules.length === 0) return report;
+
+  store.getRuns().forEach(run => {
+    if (run.status === 'running') return;
+
+    const rule = ruleFor(run, config.rules);
+    const endMs = toMs(run.endTime) || toMs(run.startTime);
+    if (!rule || endMs === null) return;
+
+    const age = now - endMs;
+    const summary = { runId: run.runId, pipeline: run.pipeline, status: run.status };
+
+    if (rule.deleteAfterDays !== undefined && age > rule.deleteAfterDays * DAY_MS) {
+      report.removedSteps += run.steps.length;
+      store.removeRun(run.runId);
+      report.removedRuns.push(summary);
+      if (onRemove) onRemove(run);
+      return;
+    }
+
+    if (rule.compactAfterDays !== undefined && age > rule.compactAfterDays * DAY_MS && !run.compactedAt) {
+      run.steps.forEach(step => {
+        const changes = compactStep(step);
+        if (!changes) return;
+        store.updateStep(step.stepId, changes);
+        report.compactedSteps++;
+      });
+      store.updateRun(run.runId, { compactedAt: new Date(now).toISOString() });
+      report.compactedRuns.push(summary);
+    }
+  });
+
+  return report;
+}
+
+module.exports = { enforceRetention, compactStep, ruleFor };
@@ -0,0 +1,210 @@
+const { getPath } = require('./paths');
+const { compareSteps } = require('./stepOrder');
+const { recordedItems } = require('./lineage');
+const { stepMetrics } = require('./metrics');
+
+const MAX_CHANGES = 100;
+const MAX_IDS = 200;
+
+const isObject = value => value !== null && typeof value === 'object';
+
+/**
+ * Structural diff of two values.
+ * @returns {Array} [{ path, change: 'added' | 'removed' | 'changed', before, after }],
+ *   capped at MAX_CHANGES
+ */
+function diffValues(before, after, path = '', changes = []) {
+  if (changes.length >= MAX_CHANGES) return changes;
+
+  if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => {
+      if (changes.length >= MAX_CHANGES) return;
+      const childPath = path ? `${path}.${key}` : key;
+      if (!(key in before)) {
+        changes.push({ path: childPath, change: 'added', after: after[key] });
+      } else if (!(key in after)) {
+        changes.push({ path: childPath, change: 'removed', before: before[key] });
+      } else {
+        diffValues(before[key], after[key], childPath, changes);
+      }
+    });
+    return changes;
+  }
+
+  if (before !== after && JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path: path || '(root)', change: 'changed', before, after });
+  }
+  return changes;
+}
+
+/**
+ * Align two step lists by name and order: the nth step named X in one run
+ * pairs with the nth step named X in the other, and pairs are kept in run
+ * order with a longest-common-subsequence pass.
+ * @returns {Array} [[baseStep | null, compareStep | null]]
+ */
+function alignSteps(left, right) {
+  const withKeys = steps => {
+    const seen = new Map();
+    return steps.map(step => {
+      const n = seen.get(step.name) || 0;
+      seen.set(step.name, n + 1);
+      return { key: `${step.name}#${n}`, step };
+    });
+  };
+  const a = withKeys(left);
+  const b = withKeys(right);
+
+  // lcs[i][j] = length of the common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i].key === b[j].key
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i].key === b[j].key) {
+      pairs.push([a[i++].step, b[j++].step]);
+    } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      pairs.push([a[i++].step, null]);
+    } else {
+      pairs.push([null, b[j++].step]);
+    }
+  }
+  return pairs;
+}
+
+function candidateIds(step, key) {
+  const recorded = recordedItems(step.candidates);
+  const ids = new Set();
+  recorded.items.forEach(item => {
+    const id = isObject(item) ? getPath(item, key) : undefined;
+    if (id !== undefined && id !== null) ids.add(String(id));
+  });
+  return { ids, complete: recorded.complete };
+}
+
+function diffCandidates(baseStep, compareStep, key) {
+  const before = candidateIds(baseStep, key);
+  const after = candidateIds(compareStep, key);
+
+  const entered = [...after.ids].filter(id => !before.ids.has(id));
+  const left = [...before.ids].filter(id => !after.ids.has(id));
+
+  return {
+    entered: entered.slice(0, MAX_IDS),
+    left: left.slice(0, MAX_IDS),
+    enteredCount: entered.length,
+    leftCount: left.length,
+    // Summarized steps only recorded a sample, so IDs outside it are unknown
+    complete: before.complete && after.complete,
+  };
+}
+
+function diffMetrics(baseStep, compareStep) {
+  const before = stepMetrics(baseStep);
+  const after = stepMetrics(compareStep);
+  const result = {};
+
+  Object.keys(before).forEach(metric => {
+    const delta = before[metric] !== null && after[metric] !== null
+      ? after[metric] - before[metric]
+      : null;
+    result[metric] = { before: before[metric], after: after[metric], delta };
+  });
+  return result;
+}
+
+const stepRef = step => (step
+  ? { stepId: step.stepId, type: step.type, depth: step.depth || 0, status: step.status || 'success' }
+  : null);
+
+function diffStepPair(baseStep, compareStep, key) {
+  const name = (baseStep || compareStep).name;
+
+  if (!baseStep || !compareStep) {
+    return {
+      name,
+      status: baseStep ? 'removed' : 'added',
+      base: stepRef(baseStep),
+      compare: stepRef(compareStep),
+      changed: true,
+    };
+  }
+
+  const changes = {
+    input: diffValues(baseStep.input, compareStep.input),
+    output: diffValues(baseStep.output, compareStep.output),
+    metadata: diffValues(baseStep.metadata, compareStep.metadata),
+    reasoning: baseStep.reasoning !== compareStep.reasoning
+      ? { before: baseStep.reasoning, after: compareStep.reasoning }
+      : null,
+    metrics: diffMetrics(baseStep, compareStep),
+    candidates: diffCandidates(baseStep, compareStep, key),
+  };
+
+  const changed = changes.input.length > 0
+    || changes.output.length > 0
+    || changes.metadata.length > 0
+    || changes.reasoning !== null
+    || Object.values(changes.metrics).some(({ before, after }) => before !== after)
+    || changes.candidates.enteredCount > 0
+    || changes.candidates.leftCount > 0;
+
+  return {
+    name,
+    status: changed ? 'changed' : 'unchanged',
+    base: stepRef(baseStep),
+    compare: stepRef(compareStep),
+    changed,
+    changes,
+  };
+}
+
+const runRef = run => ({
+  runId: run.runId,
+  pipeline: run.pipeline,
+  status: run.status,
+  startTime: run.startTime,
+  duration: run.duration,
+});
+
+/**
+ * Compare two runs step by step.
+ * @param {Object} baseRun - The reference run (e.g. yesterday's)
+ * @param {Object} compareRun - The run to compare against it
+ * @param {string} key - Field identifying candidate items
+ * @returns {Object} { base, compare, input, output, metadata, steps, summary }
+ */
+function diffRuns(baseRun, compareRun, key) {
+  const pairs = alignSteps(
+    [...baseRun.steps].sort(compareSteps),
+    [...compareRun.steps].sort(compareSteps)
+  );
+  const steps = pairs.map(([baseStep, compareStep]) => diffStepPair(baseStep, compareStep, key));
+
+  return {
+    base: runRef(baseRun),
+    compare: runRef(compareRun),
+    key,
+    input: diffValues(baseRun.input, compareRun.input),
+    output: diffValues(baseRun.output, compareRun.output),
+    metadata: diffValues(baseRun.metadata, compareRun.metadata),
+    steps,
+    summary: {
+      changed: steps.filter(step => step.status === 'changed').length,
+      unchanged: steps.filter(step => step.status === 'unchanged').length,
+      added: steps.filter(step => step.status === 'added').length,
+      removed: steps.filter(step => step.status === 'removed').length,
+    },
+  };
+}
+
+module.exports = { diffRuns, diffValues, alignSteps };
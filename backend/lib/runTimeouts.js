@@ -0,0 +1,54 @@
+/**
+ * Detection of runs that will never send their run_end.
+ *
+ * A run is `abandoned` when nothing (no step, no heartbeat) has been heard
+ * from it for `idleTimeoutMs`: its process most likely died before endRun.
+ * It is `timed_out` when it is still active but has been running for longer
+ * than `maxDurationMs`. Either limit can be set per pipeline.
+ */
+
+const toMs = time => {
+  const ms = time ? Date.parse(time) : NaN;
+  return isNaN(ms) ? null : ms;
+};
+
+function timeoutsFor(pipeline, config) {
+  const { pipelines = {}, ...defaults } = config;
+  return { ...defaults, ...pipelines[pipeline] };
+}
+
+// Latest sign of life: the start, the newest step or the last heartbeat
+function lastActivity(run) {
+  const times = [run.startTime, run.lastHeartbeat, ...(run.steps || []).map(step => step.timestamp)]
+    .map(toMs)
+    .filter(ms => ms !== null);
+  return times.length > 0 ? times.reduce((a, b) => Math.max(a, b)) : null;
+}
+
+/**
+ * @param {Object} run - A run with status 'running'
+ * @param {number} now - Current time in ms
+ * @param {Object} config - { idleTimeoutMs, maxDurationMs, pipelines }
+ * @returns {Object|null} { status, statusReason } when the run has expired
+ */
+function checkRunTimeout(run, now, config) {
+  const { idleTimeoutMs, maxDurationMs } = timeoutsFor(run.pipeline, config);
+  const startMs = toMs(run.startTime);
+  const activeMs = lastActivity(run);
+
+  if (idleTimeoutMs && activeMs !== null && now - activeMs > idleTimeoutMs) {
+    return {
+      status: 'abandoned',
+      statusReason: `No steps or heartbeats for ${Math.round((now - activeMs) / 1000)}s`,
+    };
+  }
+  if (maxDurationMs && startMs !== null && now - startMs > maxDurationMs) {
+    return {
+      status: 'timed_out',
+      statusReason: `Still running after ${Math.round((now - startMs) / 1000)}s (limit ${maxDurationMs / 1000}s)`,
+    };
+  }
+  return null;
+}
+
+module.exports = { checkRunTimeout, timeoutsFor, lastActivity, toMs };
@@ -0,0 +1,180 @@
+/**
+ * In-memory inverted index over step text for full-text search.
+ *
+ * Indexes each step's `reasoning` and, when enabled, the string leaves of its
+ * `output` (e.g. LLM responses). Queries match steps containing every term
+ * and are ranked with BM25.
+ */
+
+const WORD = /[\p{L}\p{N}_]+/gu;
+const SNIPPET_LENGTH = 160;
+const MAX_LEAF_LENGTH = 2000;
+const MAX_LEAVES_PER_STEP = 50;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const tokenize = text => (text.toLowerCase().match(WORD) || []);
+
+// Collects [path, string] for each string leaf of a value
+function collectLeaves(value, path, leaves) {
+  if (leaves.length >= MAX_LEAVES_PER_STEP) return leaves;
+
+  if (typeof value === 'string') {
+    leaves.push([path, value.slice(0, MAX_LEAF_LENGTH)]);
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => {
+      collectLeaves(child, `${path}.${key}`, leaves);
+    });
+  }
+  return leaves;
+}
+
+/**
+ * Cut a window around the first matching term and mark every match in it.
+ * @returns {Object} { snippet, highlights: [[start, end]] } with offsets into snippet
+ */
+function buildSnippet(text, terms) {
+  const matches = [];
+  for (const match of text.matchAll(WORD)) {
+    if (terms.has(match[0].toLowerCase())) {
+      matches.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  const first = matches.length > 0 ? matches[0][0] : 0;
+  let start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const snippet = prefix + text.slice(start, end) + suffix;
+
+  const highlights = matches
+    .filter(([s, e]) => s >= start && e <= end)
+    .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]);
+
+  return { snippet, highlights };
+}
+
+class SearchIndex {
+  constructor({ indexOutputs = false } = {}) {
+    this.indexOutputs = indexOutputs;
+    // term -> Map(docId -> term frequency)
+    this.postings = new Map();
+    // docId -> { stepId, runId, field, text, length }
+    this.docs = new Map();
+    // stepId -> [docId]
+    this.docsByStep = new Map();
+    this.totalLength = 0;
+  }
+
+  addStep(step) {
+    if (this.docsByStep.has(step.stepId)) return;
+
+    const fields = [];
+    if (typeof step.reasoning === 'string') {
+      fields.push(['reasoning', step.reasoning]);
+    }
+    if (this.indexOutputs) {
+      fields.push(...collectLeaves(step.output, 'output', []));
+    }
+
+    const docIds = [];
+    fields.forEach(([field, text]) => {
+      const tokens = tokenize(text);
+      if (tokens.length === 0) return;
+
+      const docId = `${step.stepId}\u0000${field}`;
+      this.docs.set(docId, { stepId: step.stepId, runId: step.runId, field, text, length: tokens.length });
+      this.totalLength += tokens.length;
+      docIds.push(docId);
+
+      const frequencies = new Map();
+      tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+      frequencies.forEach((tf, term) => {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        this.postings.get(term).set(docId, tf);
+      });
+    });
+
+    this.docsByStep.set(step.stepId, docIds);
+  }
+
+  removeStep(stepId) {
+    const docIds = this.docsByStep.get(stepId);
+    if (!docIds) return;
+
+    docIds.forEach(docId => {
+      const doc = this.docs.get(docId);
+      tokenize(doc.text).forEach(term => {
+        const posting = this.postings.get(term);
+        if (!posting) return;
+        posting.delete(docId);
+        if (posting.size === 0) this.postings.delete(term);
+      });
+      this.totalLength -= doc.length;
+      this.docs.delete(docId);
+    });
+    this.docsByStep.delete(stepId);
+  }
+
+  /**
+   * Find steps whose indexed text contains every query term.
+   * @param {string} query
+   * @param {Object} options - { filter(stepId, runId) => boolean }
+   * @returns {Array} [{ stepId, runId, score, field, snippet, highlights, fields }] best first
+   */
+  search(query, { filter } = {}) {
+    const terms = Array.from(new Set(tokenize(query)));
+    if (terms.length === 0 || this.docs.size === 0) return [];
+
+    const postings = terms.map(term => this.postings.get(term));
+    if (postings.some(posting => !posting)) return [];
+
+    const avgLength = this.totalLength / this.docs.size;
+    const byStep = new Map();
+
+    terms.forEach((term, i) => {
+      const posting = postings[i];
+      const idf = Math.log(1 + (this.docs.size - posting.size + 0.5) / (posting.size + 0.5));
+
+      posting.forEach((tf, docId) => {
+        const doc = this.docs.get(docId);
+        const norm = BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / avgLength));
+        const score = idf * ((tf * (BM25_K1 + 1)) / (tf + norm));
+
+        if (!byStep.has(doc.stepId)) {
+          byStep.set(doc.stepId, { doc, terms: new Set(), fieldScores: new Map() });
+        }
+        const hit = byStep.get(doc.stepId);
+        hit.terms.add(term);
+        hit.fieldScores.set(docId, (hit.fieldScores.get(docId) || 0) + score);
+      });
+    });
+
+    const termSet = new Set(terms);
+    const hits = [];
+
+    byStep.forEach(({ doc, terms: matched, fieldScores }, stepId) => {
+      if (matched.size < terms.length) return;
+      if (filter && !filter(stepId, doc.runId)) return;
+
+      const ranked = Array.from(fieldScores.entries()).sort((a, b) => b[1] - a[1]);
+      const best = this.docs.get(ranked[0][0]);
+
+      hits.push({
+        stepId,
+        runId: doc.runId,
+        score: ranked.reduce((sum, [, score]) => sum + score, 0),
+        field: best.field,
+        fields: ranked.map(([docId]) => this.docs.get(docId).field),
+        ...buildSnippet(best.text, termSet),
+      });
+    });
+
+    return hits.sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = SearchIndex;
@@ -0,0 +1,173 @@
+/**
+ * NDJSON snapshots of runs, for handing runs to someone else or loading a
+ * production dump into a local server.
+ *
+ * Each line is `{ run, annotations }` with the run's steps included, the
+ * same shape as the annotation export. Importing turns each run back into
+ * the SDK events that produced it and feeds them through the Ingestor, so
+ * IDs and timestamps are kept and a file can be imported twice without
+ * duplicating anything.
+ */
+
+const { createAnnotation, AnnotationError } = require('./annotations');
+
+class SnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SnapshotError';
+  }
+}
+
+function snapshotLine(run, annotations) {
+  return JSON.stringify({ run, annotations }) + '\n';
+}
+
+/**
+ * Events that recreate a stored run. Running runs get no run_end.
+ * @returns {Array} run_start, one step event per step, then run_end
+ */
+function runToEvents({ steps = [], ...run }) {
+  const events = [{
+    type: 'run_start',
+    data: {
+      runId: run.runId,
+      pipeline: run.pipeline,
+      input: run.input,
+      metadata: run.metadata,
+      timestamp: run.startTime,
+    },
+  }];
+
+  steps.forEach(step => events.push({ type: 'step', data: step }));
+
+  if (run.status !== 'running') {
+    events.push({
+      type: 'run_end',
+      data: {
+        runId: run.runId,
+        status: run.status,
+        reason: run.statusReason,
+        output: run.output,
+        error: run.error,
+        duration: run.duration,
+        timestamp: run.endTime,
+      },
+    });
+  }
+  return events;
+}
+
+function parseLine(line) {
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch (error) {
+    throw new SnapshotError('invalid JSON');
+  }
+
+  if (!record || typeof record !== 'object' || !record.run || typeof record.run !== 'object') {
+    throw new SnapshotError('line must be an object with a run');
+  }
+  if (record.run.steps !== undefined && !Array.isArray(record.run.steps)) {
+    throw new SnapshotError('run.steps must be an array');
+  }
+  if (record.annotations !== undefined && !Array.isArray(record.annotations)) {
+    throw new SnapshotError('annotations must be an array');
+  }
+  return record;
+}
+
+/**
+ * Validate an exported annotation the same way as a new one, keeping its
+ * original ID and creation time so imports stay idempotent. Like the
+ * annotation routes, a step annotation must name a step of its run; call
+ * this once the run's events are ingested.
+ * @throws {SnapshotError}
+ */
+function importedAnnotation(annotation, runId, { store, labels }) {
+  const hasId = annotation && typeof annotation.annotationId === 'string' && annotation.annotationId;
+  if (typeof annotation !== 'object' || !hasId) {
+    throw new SnapshotError('annotation must be an object with an annotationId');
+  }
+
+  const stepId = annotation.stepId || null;
+  if (stepId !== null) {
+    const step = store.getStep(stepId);
+    if (!step || step.runId !== runId) {
+      throw new SnapshotError(`annotation ${annotation.annotationId}: step ${stepId} is not part of run ${runId}`);
+    }
+  }
+
+  try {
+    const created = createAnnotation(annotation, { runId, stepId }, labels);
+    return {
+      ...created,
+      annotationId: annotation.annotationId,
+      createdAt: annotation.createdAt || created.createdAt,
+    };
+  } catch (error) {
+    if (!(error instanceof AnnotationError)) throw error;
+    throw new SnapshotError(`annotation ${annotation.annotationId}: ${error.message}`);
+  }
+}
+
+/**
+ * Replay an NDJSON snapshot into the store.
+ * @param {string} text - Snapshot contents
+ * @param {Object} target - { store, ingestor, labels } where labels are the
+ *   annotation labels the server accepts
+ * @returns {Object} { runs, accepted, duplicates, annotations,
+ *   rejected: [{ line, reason }] } with 1-based line numbers
+ */
+function importSnapshot(text, { store, ingestor, labels }) {
+  const report = { runs: 0, accepted: 0, duplicates: 0, annotations: 0, rejected: [] };
+
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+
+    let record;
+    try {
+      record = parseLine(line);
+    } catch (error) {
+      if (!(error instanceof SnapshotError)) throw error;
+      report.rejected.push({ line: i + 1, reason: error.message });
+      return;
+    }
+
+    // A run_end the store already reflects would only re-announce the run
+    const existing = store.getRun(record.run.runId);
+    const events = runToEvents(record.run).filter(event => !(event.type === 'run_end' && existing
+      && existing.status === event.data.status && existing.endTime === event.data.timestamp));
+
+    const { accepted, duplicates, rejected } = ingestor.ingest(events);
+    if (rejected.length > 0) {
+      report.rejected.push({ line: i + 1, reason: rejected.map(r => r.reason).join('; ') });
+    }
+    if (!store.getRun(record.run.runId)) return;
+
+    report.runs++;
+    report.accepted += accepted;
+    report.duplicates += duplicates;
+
+    const known = new Set(store.getAnnotations(record.run.runId).map(annotation => annotation.annotationId));
+    (record.annotations || []).forEach(annotation => {
+      let imported;
+      try {
+        imported = importedAnnotation(annotation, record.run.runId, { store, labels });
+      } catch (error) {
+        if (!(error instanceof SnapshotError)) throw error;
+        report.rejected.push({ line: i + 1, reason: error.message });
+        return;
+      }
+
+      if (known.has(imported.annotationId)) return;
+      store.addAnnotation(imported);
+      known.add(imported.annotationId);
+      report.annotations++;
+    });
+  });
+
+  return report;
+}
+
+module.exports = { snapshotLine, runToEvents, importSnapshot, SnapshotError };
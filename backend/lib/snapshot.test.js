@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Ingestor = require('./ingest');
+const MemoryStore = require('../storage/MemoryStore');
+const { importSnapshot } = require('./snapshot');
+
+const labels = ['correct', 'incorrect'];
+
+const run = {
+  runId: 'run_1',
+  pipeline: 'demo',
+  status: 'success',
+  startTime: '2024-01-01T00:00:00.000Z',
+  endTime: '2024-01-01T00:00:05.000Z',
+  steps: [{ stepId: 'step_1', runId: 'run_1', name: 'filter', timestamp: '2024-01-01T00:00:01.000Z' }],
+};
+
+const setup = () => {
+  const store = new MemoryStore();
+  return { store, target: { store, ingestor: new Ingestor(store), labels } };
+};
+
+const annotation = (annotationId, extra = {}) => ({
+  annotationId, runId: 'run_1', label: 'correct', author: 'ana', createdAt: '2024-01-02T00:00:00.000Z', ...extra,
+});
+
+test('imports runs with their annotations, and only once', () => {
+  const { store, target } = setup();
+  const text = JSON.stringify({ run, annotations: [annotation('ann_1'), annotation('ann_2', { stepId: 'step_1' })] });
+
+  const first = importSnapshot(text, target);
+  const second = importSnapshot(text, target);
+
+  assert.deepStrictEqual([first.runs, first.annotations, first.rejected], [1, 2, []]);
+  assert.deepStrictEqual([second.accepted, second.annotations], [0, 0]);
+  assert.deepStrictEqual(store.getAnnotations('run_1').map(a => [a.annotationId, a.stepId, a.createdAt]), [
+    ['ann_1', null, '2024-01-02T00:00:00.000Z'],
+    ['ann_2', 'step_1', '2024-01-02T00:00:00.000Z'],
+  ]);
+});
+
+test('annotations on steps outside their run are rejected', () => {
+  const { store, target } = setup();
+  const other = { ...run, runId: 'run_2', steps: [{ ...run.steps[0], stepId: 'step_2', runId: 'run_2' }] };
+  const text = [
+    JSON.stringify({ run: other }),
+    JSON.stringify({ run, annotations: [annotation('ann_1', { stepId: 'nonexistent' }), annotation('ann_2', { stepId: 'step_2' })] }),
+  ].join('\n');
+
+  const report = importSnapshot(text, target);
+
+  assert.deepStrictEqual(report.rejected, [
+    { line: 2, reason: 'annotation ann_1: step nonexistent is not part of run run_1' },
+    { line: 2, reason: 'annotation ann_2: step step_2 is not part of run run_1' },
+  ]);
+  assert.deepStrictEqual(store.getAnnotations('run_1'), []);
+});
+
+test('annotations without an ID or with an unknown label are rejected', () => {
+  const { store, target } = setup();
+  const text = JSON.stringify({ run, annotations: [{ label: 'correct' }, annotation('ann_1', { label: 'maybe' })] });
+
+  const report = importSnapshot(text, target);
+
+  assert.strictEqual(report.rejected.length, 2);
+  assert.match(report.rejected[1].reason, /^annotation ann_1: label must be one of/);
+  assert.deepStrictEqual(store.getAnnotations('run_1'), []);
+});
@@ -0,0 +1,14 @@
+/**
+ * Order two steps of the same run.
+ * Uses the SDK's per-run `sequence` when both steps have one (it reflects
+ * start order, even for parents that finish after their children), and
+ * falls back to timestamps for older events.
+ */
+function compareSteps(a, b) {
+  if (typeof a.sequence === 'number' && typeof b.sequence === 'number') {
+    return a.sequence - b.sequence;
+  }
+  return new Date(a.timestamp || 0) - new Date(b.timestamp || 0);
+}
+
+module.exports = { compareSteps };
@@ -0,0 +1,43 @@
+const { compareSteps } = require('./stepOrder');
+
+/**
+ * Build a nested step tree from a run's flat step list.
+ * Steps are linked through `parentStepId`; steps whose parent was never
+ * recorded are promoted to the root so nothing is hidden.
+ * @param {Array} steps - Flat steps of a single run
+ * @returns {Array} Root nodes, each `{ ...step, children: [] }`
+ */
+function buildStepTree(steps) {
+  const nodes = new Map();
+  steps.forEach(step => {
+    nodes.set(step.stepId, { ...step, children: [] });
+  });
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parentStepId && nodes.get(node.parentStepId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const sortChildren = list => {
+    list.sort(compareSteps);
+    list.forEach(node => sortChildren(node.children));
+  };
+  sortChildren(roots);
+
+  return roots;
+}
+
+/**
+ * Depth of a step in its tree. Steps recorded before nesting existed have
+ * no depth and are treated as top-level.
+ */
+function getStepDepth(step) {
+  return typeof step.depth === 'number' ? step.depth : 0;
+}
+
+module.exports = { buildStepTree, getStepDepth };
@@ -0,0 +1,212 @@
+const { getPath } = require('./paths');
+const { compareSteps } = require('./stepOrder');
+const { recordedItems } = require('./lineage');
+
+/**
+ * What-if simulation for filter steps that declare their rules.
+ *
+ * A filter step can record `rules: [{ field, op, value, reason }]`, meaning
+ * an item passes when every `item[field] op value` holds. Given new values
+ * for some rules, the recorded candidates (which passed) and filtered items
+ * (which did not) are re-evaluated to show what would have passed instead.
+ */
+
+class WhatIfError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WhatIfError';
+  }
+}
+
+const OPERATORS = {
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '<': (a, b) => a < b,
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+const isValidRule = rule => Boolean(rule) && typeof rule.field === 'string'
+  && Object.prototype.hasOwnProperty.call(OPERATORS, rule.op);
+
+const passesRule = (item, rule) => {
+  const actual = getPath(item, rule.field);
+  return actual !== undefined && actual !== null && OPERATORS[rule.op](actual, rule.value);
+};
+
+// Keep the type of the recorded value, so "4" from a form compares as 4
+const coerce = (value, original) => (typeof original === 'number' ? Number(value) : value);
+
+// values are keyed by each rule's index in the step's declared `rules`
+function applyOverrides(rules, values = {}) {
+  return rules.map((rule) => {
+    if (!(rule.index in values)) return rule;
+
+    const value = coerce(values[rule.index], rule.value);
+    if (typeof rule.value === 'number' && isNaN(value)) {
+      throw new WhatIfError(`rules[${rule.index}] needs a numeric value`);
+    }
+    return { ...rule, value };
+  });
+}
+
+function recordedOutcomes(step) {
+  const candidates = recordedItems(step.candidates);
+  const filtered = recordedItems(step.filtered);
+
+  return {
+    items: [
+      ...candidates.items.map(item => ({ item, passed: true })),
+      ...filtered.items
+        .filter(entry => entry && entry.candidate !== undefined)
+        .map(entry => ({ item: entry.candidate, passed: false })),
+    ],
+    complete: candidates.complete && filtered.complete,
+  };
+}
+
+// Observed min/max of each numeric rule's field, to bound sliders
+function ruleRanges(rules, items) {
+  return rules.map(rule => {
+    if (typeof rule.value !== 'number') return null;
+
+    const values = items
+      .map(({ item }) => getPath(item, rule.field))
+      .filter(value => typeof value === 'number');
+    if (values.length === 0) return null;
+
+    return {
+      min: values.reduce((a, b) => Math.min(a, b), rule.value),
+      max: values.reduce((a, b) => Math.max(a, b), rule.value),
+    };
+  });
+}
+
+// The item the run finally picked: the last step output with a `selected` object
+function findSelection(run) {
+  const steps = [...run.steps].sort(compareSteps).reverse();
+  const step = steps.find(s => s.output && s.output.selected && typeof s.output.selected === 'object');
+  return step ? { item: step.output.selected, stepName: step.name } : null;
+}
+
+function evaluate(run, step, rules, items, key) {
+  let passed = 0;
+  const newlyPassing = [];
+  const newlyFiltered = [];
+  // Aligned with step.rules; skipped invalid rules stay null
+  const failedRules = step.rules.map(() => null);
+  rules.forEach(rule => {
+    failedRules[rule.index] = 0;
+  });
+
+  items.forEach(({ item, passed: originallyPassed }) => {
+    let passes = true;
+    rules.forEach(rule => {
+      if (!passesRule(item, rule)) {
+        passes = false;
+        failedRules[rule.index]++;
+      }
+    });
+
+    if (passes) passed++;
+    if (passes && !originallyPassed) newlyPassing.push(item);
+    if (!passes && originallyPassed) newlyFiltered.push(item);
+  });
+
+  const idOf = item => (item && typeof item === 'object' ? getPath(item, key) : item);
+  const selected = findSelection(run);
+  let selection = null;
+
+  if (selected) {
+    const selectedPasses = rules.every(rule => passesRule(selected.item, rule));
+    let outcome = 'unchanged';
+    if (!selectedPasses) outcome = 'eliminated';
+    else if (newlyPassing.length > 0) outcome = 'may_change';
+
+    selection = {
+      itemId: idOf(selected.item),
+      stepName: selected.stepName,
+      passes: selectedPasses,
+      outcome,
+    };
+  }
+
+  return {
+    passed,
+    filtered: items.length - passed,
+    newlyPassing: newlyPassing.map(idOf),
+    newlyFiltered: newlyFiltered.map(idOf),
+    failedByRule: failedRules,
+    selection,
+  };
+}
+
+/**
+ * Re-evaluate a filter step under alternative rule values.
+ * @param {Object} run - The step's run, used to find the final selection
+ * @param {Object} step - Filter step with `rules`
+ * @param {Object} options
+ * @param {Object} options.values - { [ruleIndex]: newValue }, indexes into step.rules
+ * @param {Object} options.sweep - Optional { rule, values: [...] } to evaluate a series
+ * @param {string} options.key - Field identifying items
+ * @returns {Object} { rules, baseline, simulated, sweep, complete }
+ * @throws {WhatIfError}
+ */
+function simulateFilter(run, step, { values: requested, sweep, key } = {}) {
+  const values = requested === undefined || requested === null ? {} : requested;
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw new WhatIfError('values must be an object of rule index to value');
+  }
+
+  // Invalid rules are skipped but keep their place, so indexes match step.rules
+  const rules = (Array.isArray(step.rules) ? step.rules : [])
+    .map((rule, index) => (isValidRule(rule) ? { ...rule, index } : null))
+    .filter(Boolean);
+  if (rules.length === 0) {
+    throw new WhatIfError('Step has no declared rules');
+  }
+  const hasRule = index => rules.some(rule => String(rule.index) === String(index));
+
+  Object.keys(values).forEach(index => {
+    if (!hasRule(index)) throw new WhatIfError(`No rule at index ${index}`);
+  });
+
+  const { items, complete } = recordedOutcomes(step);
+  const applied = applyOverrides(rules, values);
+  const ranges = ruleRanges(rules, items);
+
+  const result = {
+    stepId: step.stepId,
+    stepName: step.name,
+    rules: rules.map((rule, position) => ({
+      ...rule,
+      simulatedValue: applied[position].value,
+      range: ranges[position],
+    })),
+    baseline: {
+      passed: items.filter(entry => entry.passed).length,
+      filtered: items.filter(entry => !entry.passed).length,
+    },
+    simulated: evaluate(run, step, applied, items, key),
+    recordedItems: items.length,
+    // With summarized arrays only the recorded sample can be re-evaluated
+    complete,
+  };
+
+  if (sweep) {
+    const position = rules.findIndex(rule => String(rule.index) === String(sweep.rule));
+    if (position === -1 || !Array.isArray(sweep.values)) {
+      throw new WhatIfError('sweep needs a valid rule index and a values array');
+    }
+    result.sweep = sweep.values.map(value => {
+      const swept = applyOverrides(applied, { [sweep.rule]: value });
+      const { passed, filtered, selection } = evaluate(run, step, swept, items, key);
+      return { value: swept[position].value, passed, filtered, selection: selection && selection.outcome };
+    });
+  }
+
+  return result;
+}
+
+module.exports = { simulateFilter, passesRule, WhatIfError, OPERATORS };
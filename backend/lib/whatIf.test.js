@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { simulateFilter, WhatIfError } = require('./whatIf');
+
+const step = rules => ({
+  stepId: 'step_1',
+  name: 'filter',
+  rules,
+  candidates: [{ id: 'a', price: 10, rating: 4.5 }, { id: 'b', price: 40, rating: 4.8 }],
+  filtered: [{ candidate: { id: 'c', price: 90, rating: 3.1 }, reasons: ['price', 'rating'] }],
+});
+const run = { runId: 'run_1', steps: [] };
+
+test('rules with an unknown or inherited op are skipped', () => {
+  const result = simulateFilter(run, step([
+    { field: 'price', op: 'constructor', value: 50 },
+    { field: 'price', op: 'toString', value: 50 },
+    { field: 'price', op: '<=', value: 50 },
+  ]), { key: 'id' });
+
+  assert.deepStrictEqual(result.rules.map(rule => rule.index), [2]);
+});
+
+test('a step whose only rules use inherited ops has no rules', () => {
+  assert.throws(() => simulateFilter(run, step([{ field: 'price', op: 'constructor', value: 1 }]), {}), WhatIfError);
+});
+
+test('failedByRule is keyed by the declared rule index', () => {
+  const result = simulateFilter(run, step([
+    { field: 'price', op: 'bogus', value: 1 },
+    { field: 'price', op: '<=', value: 50 },
+    { field: 'rating', op: '>=', value: 4.6 },
+  ]), { key: 'id' });
+
+  assert.deepStrictEqual(result.simulated.failedByRule, [null, 1, 2]);
+});
+
+test('values and sweeps address rules by their declared index', () => {
+  const result = simulateFilter(run, step([
+    null,
+    { field: 'price', op: '<=', value: 50 },
+  ]), { values: { 1: 100 }, sweep: { rule: 1, values: [5, 20] }, key: 'id' });
+
+  assert.strictEqual(result.rules[0].simulatedValue, 100);
+  assert.deepStrictEqual(result.simulated.newlyPassing, ['c']);
+  assert.deepStrictEqual(result.sweep.map(({ value, passed }) => [value, passed]), [[5, 0], [20, 1]]);
+  assert.throws(() => simulateFilter(run, step([null, { field: 'price', op: '<=', value: 50 }]), { values: { 0: 1 } }),
+    /No rule at index 0/);
+});
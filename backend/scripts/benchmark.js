@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Query latency benchmark for the in-memory store.
+ *
+ *   node scripts/benchmark.js [stepCount]   (default 100000)
+ *
+ * Loads synthetic runs (10 steps each) into a MemoryStore, then times the
+ * indexed lookups used by /api/runs and /api/steps against the linear
+ * scan-and-sort they replaced.
+ */
+const { MemoryStore } = require('../storage');
+
+const STEPS_PER_RUN = 10;
+const ITERATIONS = 50;
+const PIPELINES = ['competitor-selection', 'listing-optimization', 'product-categorization'];
+const STEP_TYPES = ['llm', 'api', 'filter', 'rank', 'transform'];
+const STATUSES = ['success', 'success', 'success', 'error'];
+
+function populate(store, stepCount) {
+  const runCount = Math.ceil(stepCount / STEPS_PER_RUN);
+  const start = Date.parse('2024-01-01T00:00:00Z');
+
+  for (let r = 0; r < runCount; r++) {
+    const runId = `run_${r}`;
+    const startMs = start + r * 60000;
+    store.createRun({
+      runId,
+      pipeline: PIPELINES[r % PIPELINES.length],
+      input: {},
+      metadata: {},
+      startTime: new Date(startMs).toISOString(),
+      steps: [],
+      status: 'running',
+    });
+
+    for (let s = 0; s < STEPS_PER_RUN; s++) {
+      store.addStep({
+        stepId: `step_${r}_${s}`,
+        runId,
+        name: `step_${s}`,
+        type: STEP_TYPES[s % STEP_TYPES.length],
+        sequence: s,
+        status: (r + s) % 20 === 0 ? 'error' : 'success',
+        timestamp: new Date(startMs + s * 1000).toISOString(),
+        duration: 10 + ((r * 7 + s * 13) % 500),
+      });
+    }
+
+    store.updateRun(runId, { status: STATUSES[r % STATUSES.length], duration: 5000 });
+  }
+
+  return runCount;
+}
+
+function time(fn) {
+  const samples = [];
+  let result;
+  for (let i = 0; i < ITERATIONS; i++) {
+    const started = process.hrtime.bigint();
+    result = fn();
+    samples.push(Number(process.hrtime.bigint() - started) / 1e6);
+  }
+  samples.sort((a, b) => a - b);
+  return {
+    median: samples[Math.floor(samples.length / 2)],
+    p95: samples[Math.min(samples.length - 1, Math.floor(samples.length * 0.95))],
+    result,
+  };
+}
+
+// What the routes did before indexing: scan everything, re-parse dates to sort
+function scanSteps(store, filter) {
+  return store.getSteps()
+    .filter(filter)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, 100);
+}
+
+function main() {
+  const stepCount = parseInt(process.argv[2] || '100000');
+  const store = new MemoryStore();
+
+  const loadStarted = Date.now();
+  const runCount = populate(store, stepCount);
+  console.log(`Loaded ${runCount} runs / ${store.steps.size} steps in ${Date.now() - loadStarted}ms\n`);
+
+  let deepCursor = null;
+  for (let page = 0; page < 50; page++) {
+    deepCursor = store.findSteps({ type: 'llm', limit: 100, cursor: deepCursor }).nextCursor;
+  }
+
+  const cases = [
+    ['steps by name', () => store.findSteps({ name: 'step_3', limit: 100 }),
+      () => scanSteps(store, step => step.name === 'step_3')],
+    ['steps by pipeline + type', () => store.findSteps({ pipeline: PIPELINES[1], type: 'filter', limit: 100 }),
+      () => {
+        const runIds = new Set(store.getRunIdsForPipeline(PIPELINES[1]));
+        return scanSteps(store, step => runIds.has(step.runId) && step.type === 'filter');
+      }],
+    ['failed steps', () => store.findSteps({ status: 'error', limit: 100 }),
+      () => scanSteps(store, step => step.status === 'error')],
+    ['steps of one run', () => store.findSteps({ runId: 'run_42', limit: 100 }),
+      () => scanSteps(store, step => step.runId === 'run_42')],
+    ['steps, page 51 via cursor', () => store.findSteps({ type: 'llm', limit: 100, cursor: deepCursor }),
+      () => store.getSteps()
+        .filter(step => step.type === 'llm')
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(5000, 5100)],
+    ['runs by pipeline + status, 1 day', () => store.findRuns({
+      pipeline: PIPELINES[0],
+      status: 'error',
+      startTime: '2024-01-02T00:00:00Z',
+      endTime: '2024-01-03T00:00:00Z',
+      limit: 100,
+    }), () => store.getRuns()
+      .filter(run => run.pipeline === PIPELINES[0] && run.status === 'error'
+        && run.startTime >= '2024-01-02T00:00:00Z' && run.startTime <= '2024-01-03T00:00:00Z')
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+      .slice(0, 100)],
+  ];
+
+  const rows = cases.map(([name, indexed, scan]) => {
+    const fast = time(indexed);
+    const slow = time(scan);
+    return {
+      query: name,
+      'indexed median ms': fast.median.toFixed(3),
+      'indexed p95 ms': fast.p95.toFixed(3),
+      'scan median ms': slow.median.toFixed(3),
+      speedup: `${(slow.median / fast.median).toFixed(0)}x`,
+      matches: fast.result.total,
+    };
+  });
+
+  console.table(rows);
+}
+
+main();
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Export runs from a running X-Ray API as NDJSON, or import such a file.
+ *
+ *   node scripts/snapshot.js export [--pipeline p] [--status s] [--label l]
+ *     [--startTime t] [--endTime t] [--minSteps n] [--maxSteps n] [--limit n]
+ *     [--out file]
+ *   node scripts/snapshot.js import <file> [--batch 100]
+ *
+ * Both talk to --api (default $XRAY_API_URL or http://localhost:3001/api).
+ * Export writes to stdout unless --out is given. Import sends the file in
+ * batches of --batch runs and can be repeated safely.
+ */
+const fs = require('fs');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const EXPORT_FILTERS = ['pipeline', 'status', 'label', 'startTime', 'endTime', 'minSteps', 'maxSteps', 'limit'];
+const DEFAULT_BATCH = 100;
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+async function exportRuns(api, options) {
+  const params = new URLSearchParams();
+  EXPORT_FILTERS.forEach(filter => {
+    if (options[filter] !== undefined) params.set(filter, options[filter]);
+  });
+
+  const response = await fetch(`${api}/export?${params}`);
+  if (!response.ok) {
+    throw new Error(`Export failed: HTTP ${response.status}`);
+  }
+
+  const out = options.out ? fs.createWriteStream(options.out) : process.stdout;
+  await pipeline(Readable.fromWeb(response.body), out);
+}
+
+async function sendBatch(api, lines) {
+  const response = await fetch(`${api}/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-ndjson' },
+    body: lines.join('\n'),
+  });
+  const report = await response.json();
+  if (!response.ok) {
+    throw new Error(`Import failed: ${report.error || `HTTP ${response.status}`}`);
+  }
+  return report;
+}
+
+async function importRuns(api, file, options) {
+  if (!file) throw new Error('Usage: snapshot.js import <file>');
+
+  const batchSize = parseInt(options.batch) || DEFAULT_BATCH;
+  const totals = { runs: 0, accepted: 0, duplicates: 0, annotations: 0, rejected: [] };
+  let batch = [];
+  let firstLine = 1;
+  let lineNumber = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const report = await sendBatch(api, batch);
+    ['runs', 'accepted', 'duplicates', 'annotations'].forEach(field => {
+      totals[field] += report[field];
+    });
+    // Line numbers in the report are relative to the batch
+    report.rejected.forEach(({ line, reason }) => {
+      totals.rejected.push({ line: line + firstLine - 1, reason });
+    });
+    batch = [];
+  };
+
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    lineNumber++;
+    if (batch.length === 0) firstLine = lineNumber;
+    batch.push(line);
+    if (batch.length >= batchSize) await flush();
+  }
+  await flush();
+
+  console.log(`Imported ${totals.runs} runs: ${totals.accepted} events applied, `
+    + `${totals.duplicates} already present, ${totals.annotations} annotations added`);
+  totals.rejected.forEach(({ line, reason }) => console.warn(`  line ${line}: ${reason}`));
+}
+
+async function main() {
+  const { positional: [command, file], options } = parseArgs(process.argv.slice(2));
+  const api = (options.api || process.env.XRAY_API_URL || 'http://localhost:3001/api').replace(/\/$/, '');
+
+  switch (command) {
+    case 'export':
+      return exportRuns(api, options);
+    case 'import':
+      return importRuns(api, file, options);
+    default:
+      throw new Error('Usage: snapshot.js <export|import> [options]');
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
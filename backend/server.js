@@ -1,16 +1,127 @@
+const { Readable, pipeline } = require('stream');
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const { createStore, InvalidCursorError } = require('./storage');
+const Ingestor = require('./lib/ingest');
+const config = require('./config');
+const { buildStepTree, getStepDepth } = require('./lib/stepTree');
+const { traceItem } = require('./lib/lineage');
+const { diffRuns } = require('./lib/runDiff');
+const { simulateFilter, WhatIfError } = require('./lib/whatIf');
+const { aggregateFilterReasons } = require('./lib/filterReasons');
+const { runQuery, compileFilter, QuerySyntaxError } = require('./lib/query');
+const { aggregate, AggregationError } = require('./lib/aggregate');
+const { stepMetrics, runMetrics } = require('./lib/metrics');
+const SearchIndex = require('./lib/searchIndex');
+const { createAnnotation, labelsOf, AnnotationError } = require('./lib/annotations');
+const { llmCallRecords, llmStepMetrics, withCallCosts } = require('./lib/llmCalls');
+const LiveStream = require('./lib/liveStream');
+const { checkRunTimeout } = require('./lib/runTimeouts');
+const { enforceRetention } = require('./lib/retention');
+const { snapshotLine, importSnapshot } = require('./lib/snapshot');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-const runs = new Map();
-const steps = new Map();
-const runsByPipeline = new Map();
+const store = createStore();
+const ingestor = new Ingestor(store);
+
+const searchIndex = new SearchIndex(config.search);
+store.getSteps().forEach(step => searchIndex.addStep(step));
+ingestor.on('step', step => searchIndex.addStep(step));
+
+// Original runId -> runIds of step replays recorded against it
+const replaysByRun = new Map();
+const linkReplay = (run) => {
+  const replayOf = run.metadata && run.metadata.replayOf;
+  if (!replayOf || !replayOf.runId) return;
+
+  if (!replaysByRun.has(replayOf.runId)) replaysByRun.set(replayOf.runId, []);
+  replaysByRun.get(replayOf.runId).push(run.runId);
+};
+store.getRuns().forEach(linkReplay);
+ingestor.on('run_start', linkReplay);
+
+// Ingested events are pushed to dashboards as they arrive. Run events leave
+// out the steps, which were already sent one by one.
+const liveStream = new LiveStream();
+const runSummary = ({ steps, ...run }) => ({ ...run, stepCount: steps ? steps.length : 0 });
+ingestor.on('run_start', run => liveStream.publish('run_start', runSummary(run), run));
+ingestor.on('run_end', run => liveStream.publish('run_end', runSummary(run), run));
+ingestor.on('step', step => {
+  const run = store.getRun(step.runId);
+  liveStream.publish('step', withCallCosts(step, config.llm.pricing), {
+    pipeline: run ? run.pipeline : undefined,
+    runId: step.runId,
+  });
+});
+
+// Runs whose run_end never arrives are marked abandoned or timed_out.
+// Heartbeats are not persisted, so runs loaded at startup get a full idle
+// period to send their next one.
+const serverStartTime = new Date().toISOString();
+const expireStaleRuns = () => {
+  const now = Date.now();
+
+  store.findRuns({ status: 'running', limit: Infinity }).items.forEach(run => {
+    const lastHeartbeat = run.lastHeartbeat || serverStartTime;
+    const expired = checkRunTimeout({ ...run, lastHeartbeat }, now, config.runTimeouts);
+    if (!expired) return;
+
+    const updated = store.updateRun(run.runId, { ...expired, endTime: new Date(now).toISOString() });
+    liveStream.publish('run_end', runSummary(updated), updated);
+  });
+};
+expireStaleRuns();
+setInterval(expireStaleRuns, config.runTimeouts.checkIntervalMs).unref();
+
+// Most recent retention passes, newest first
+const MAX_RETENTION_REPORTS = 20;
+const retentionReports = [];
+
+const forgetRun = (run) => {
+  run.steps.forEach(step => searchIndex.removeStep(step.stepId));
+  replaysByRun.delete(run.runId);
+
+  const replayOf = run.metadata && run.metadata.replayOf;
+  const siblings = replayOf && replaysByRun.get(replayOf.runId);
+  if (siblings && siblings.includes(run.runId)) {
+    siblings.splice(siblings.indexOf(run.runId), 1);
+  }
+};
+
+const applyRetention = () => {
+  const startedAt = new Date();
+  const result = enforceRetention(store, config.retention, startedAt.getTime(), { onRemove: forgetRun });
+  if (result.removedRuns.length > 0 || result.compactedRuns.length > 0) {
+    store.compact();
+    console.log(`Retention: removed ${result.removedRuns.length} runs (${result.removedSteps} steps), `
+      + `compacted ${result.compactedRuns.length} runs (${result.compactedSteps} steps)`);
+  }
+
+  const report = { startedAt: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime(), ...result };
+  retentionReports.unshift(report);
+  retentionReports.splice(MAX_RETENTION_REPORTS);
+  return report;
+};
+applyRetention();
+setInterval(applyRetention, config.retention.checkIntervalMs).unref();
 
 app.use(cors());
 app.use(bodyParser.json({ limit: '10mb' }));
+// navigator.sendBeacon posts text/plain to avoid a CORS preflight
+app.use(bodyParser.text({ type: 'text/plain', limit: '10mb' }));
+
+// A repeated query parameter (?pipeline=a&pipeline=b) or a bracketed one
+// arrives as an array or object. Every route takes single string values.
+app.use((req, res, next) => {
+  const invalid = Object.keys(req.query).find(name => typeof req.query[name] !== 'string');
+  if (invalid) {
+    return res.status(400).json({ error: `${invalid} must be given once, as a plain value` });
+  }
+  next();
+});
 
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -18,65 +129,48 @@ app.get('/health', (req, res) => {
 
 app.post('/api/ingest', (req, res) => {
   try {
-    const { events } = req.body;
+    let body = req.body;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid JSON body' });
+      }
+    }
+
+    const { events } = body;
 
     if (!Array.isArray(events)) {
       return res.status(400).json({ error: 'events must be an array' });
     }
 
-    events.forEach(event => {
-      const { type, data } = event;
-
-      switch (type) {
-        case 'run_start':
-          runs.set(data.runId, {
-            runId: data.runId,
-            pipeline: data.pipeline,
-            input: data.input,
-            metadata: data.metadata,
-            startTime: data.timestamp,
-            steps: [],
-            status: 'running',
-          });
+    const { accepted, duplicates, rejected } = ingestor.ingest(events);
 
-          if (!runsByPipeline.has(data.pipeline)) {
-            runsByPipeline.set(data.pipeline, []);
-          }
-          runsByPipeline.get(data.pipeline).push(data.runId);
-          break;
-
-        case 'step':
-          steps.set(data.stepId, data);
-
-          const run = runs.get(data.runId);
-          if (run) {
-            run.steps.push(data);
-          }
-          break;
-
-        case 'run_end':
-          const runToEnd = runs.get(data.runId);
-          if (runToEnd) {
-            runToEnd.status = data.status;
-            runToEnd.output = data.output;
-            runToEnd.error = data.error;
-            runToEnd.duration = data.duration;
-            runToEnd.endTime = data.timestamp;
-          }
-          break;
-      }
-    });
+    if (rejected.length > 0) {
+      console.warn(`Ingest rejected ${rejected.length} of ${events.length} events`);
+    }
 
-    res.json({ success: true, processed: events.length });
+    res.json({ success: true, processed: events.length, accepted, duplicates, rejected });
   } catch (error) {
     console.error('Ingest error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Server-Sent Events: run_start, step and run_end as they are ingested
+app.get('/api/stream', (req, res) => {
+  const { pipeline, runId } = req.query;
+
+  liveStream.subscribe(req, res, {
+    pipelines: pipeline ? pipeline.split(',').map(p => p.trim()).filter(Boolean) : [],
+    runId,
+  });
+});
+
 app.get('/api/runs/:runId', (req, res) => {
   const { runId } = req.params;
-  const run = runs.get(runId);
+  const { tree } = req.query;
+  const run = store.getRun(runId);
 
   if (!run) {
     return res.status(404).json({ error: 'Run not found' });
@@ -84,139 +178,337 @@ app.get('/api/runs/:runId', (req, res) => {
 
   const enrichedRun = {
     ...run,
-    steps: run.steps || [],
+    steps: (run.steps || []).map(step => withCallCosts(step, config.llm.pricing)),
+    replays: (replaysByRun.get(runId) || [])
+      .map(replayId => store.getRun(replayId))
+      .filter(Boolean)
+      .map(replay => ({
+        runId: replay.runId,
+        status: replay.status,
+        startTime: replay.startTime,
+        stepId: replay.metadata.replayOf.stepId,
+        stepName: replay.metadata.replayOf.stepName,
+      })),
+    annotations: store.getAnnotations(runId),
   };
 
+  if (tree === 'true') {
+    enrichedRun.stepTree = buildStepTree(enrichedRun.steps);
+  }
+
   res.json(enrichedRun);
 });
 
-app.get('/api/runs', (req, res) => {
-  const {
-    pipeline,
-    status,
-    startTime,
-    endTime,
-    minSteps,
-    maxSteps,
-    limit = 100,
-    offset = 0,
-  } = req.query;
+// Field identifying items: explicit key, then run metadata, then config
+const resolveItemKey = (run, key) => key
+  || (run.metadata && run.metadata.itemKey)
+  || config.itemKeys[run.pipeline]
+  || config.defaultItemKey;
+
+app.get('/api/runs/:runId/trace', (req, res) => {
+  const { runId } = req.params;
+  const { item } = req.query;
+  const run = store.getRun(runId);
+
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+
+  if (!item) {
+    return res.status(400).json({ error: 'item is required' });
+  }
+
+  const key = resolveItemKey(run, req.query.key);
+
+  res.json({
+    runId,
+    pipeline: run.pipeline,
+    item,
+    key,
+    ...traceItem(run, item, key),
+  });
+});
+
+app.get('/api/runs/:runId/diff/:otherRunId', (req, res) => {
+  const baseRun = store.getRun(req.params.runId);
+  const compareRun = store.getRun(req.params.otherRunId);
+
+  if (!baseRun || !compareRun) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+
+  // A replay re-ran a single step, so compare it with just that step
+  const replayOf = compareRun.metadata && compareRun.metadata.replayOf;
+  const base = replayOf && replayOf.runId === baseRun.runId
+    ? { ...baseRun, steps: baseRun.steps.filter(step => step.stepId === replayOf.stepId) }
+    : baseRun;
 
-  let results = Array.from(runs.values());
+  res.json(diffRuns(base, compareRun, resolveItemKey(compareRun, req.query.key)));
+});
+
+app.post('/api/runs/:runId/steps/:stepId/what-if', (req, res) => {
+  const run = store.getRun(req.params.runId);
+  const step = store.getStep(req.params.stepId);
 
-  if (pipeline) {
-    results = results.filter(run => run.pipeline === pipeline);
+  if (!run || !step || step.runId !== run.runId) {
+    return res.status(404).json({ error: 'Step not found' });
   }
 
-  if (status) {
-    results = results.filter(run => run.status === status);
+  const { values, sweep, key } = req.body || {};
+
+  try {
+    res.json(simulateFilter(run, step, { values, sweep, key: resolveItemKey(run, key) }));
+  } catch (error) {
+    if (error instanceof WhatIfError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
   }
+});
 
-  if (startTime) {
-    results = results.filter(run => run.startTime >= startTime);
+const annotate = (req, res, target) => {
+  try {
+    const annotation = createAnnotation(req.body, target, config.annotations.labels);
+    res.status(201).json(store.addAnnotation(annotation));
+  } catch (error) {
+    if (error instanceof AnnotationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
   }
-  if (endTime) {
-    results = results.filter(run => run.startTime <= endTime);
+};
+
+app.post('/api/runs/:runId/annotations', (req, res) => {
+  const { runId } = req.params;
+  if (!store.getRun(runId)) {
+    return res.status(404).json({ error: 'Run not found' });
   }
 
-  if (minSteps) {
-    results = results.filter(run => run.steps.length >= parseInt(minSteps));
+  annotate(req, res, { runId });
+});
+
+app.post('/api/runs/:runId/steps/:stepId/annotations', (req, res) => {
+  const { runId, stepId } = req.params;
+  const step = store.getStep(stepId);
+
+  if (!store.getRun(runId) || !step || step.runId !== runId) {
+    return res.status(404).json({ error: 'Step not found' });
   }
-  if (maxSteps) {
-    results = results.filter(run => run.steps.length <= parseInt(maxSteps));
+
+  annotate(req, res, { runId, stepId });
+});
+
+app.get('/api/runs/:runId/annotations', (req, res) => {
+  const { runId } = req.params;
+  if (!store.getRun(runId)) {
+    return res.status(404).json({ error: 'Run not found' });
   }
 
-  results.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+  res.json({ annotations: store.getAnnotations(runId) });
+});
+
+app.delete('/api/runs/:runId/annotations/:annotationId', (req, res) => {
+  const removed = store.removeAnnotation(req.params.runId, req.params.annotationId);
+  if (!removed) {
+    return res.status(404).json({ error: 'Annotation not found' });
+  }
 
-  const total = results.length;
-  const paginated = results.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+  res.json(removed);
+});
 
-  res.json({
-    runs: paginated,
-    total,
-    limit: parseInt(limit),
-    offset: parseInt(offset),
+// Annotated runs with their steps and annotations, one JSON object per line
+app.get('/api/annotations/export', (req, res) => {
+  const { label, pipeline } = req.query;
+
+  res.attachment(`annotations${label ? `-${label}` : ''}.ndjson`);
+  res.type('application/x-ndjson');
+
+  store.getAnnotatedRunIds().forEach(runId => {
+    const run = store.getRun(runId);
+    const annotations = store.getAnnotations(runId);
+    if (!run || (pipeline && run.pipeline !== pipeline)) return;
+    if (label && !annotations.some(annotation => annotation.label === label)) return;
+
+    res.write(JSON.stringify({ run, labels: labelsOf(annotations), annotations }) + '\n');
+  });
+  res.end();
+});
+
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Validate the limit and offset query parameters. limit must be a positive
+ * integer and is capped at maxLimit; offset a non-negative integer.
+ * @returns {Object} { limit, offset }, or { error } for a 400
+ */
+const pageParams = ({ limit, offset }, { defaultLimit, maxLimit = MAX_PAGE_SIZE }) => {
+  let parsedLimit = defaultLimit;
+  if (limit !== undefined) {
+    parsedLimit = Number(limit);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+  }
+
+  const parsedOffset = offset === undefined ? 0 : Number(offset);
+  if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+  return { limit: Math.min(parsedLimit, maxLimit), offset: parsedOffset };
+};
+
+// findRuns options for the run filters shared by /api/runs and /api/export
+const runFilters = ({ pipeline, status, startTime, endTime, minSteps, maxSteps, label }) => {
+  const checks = [];
+  if (minSteps) checks.push(run => run.steps.length >= parseInt(minSteps));
+  if (maxSteps) checks.push(run => run.steps.length <= parseInt(maxSteps));
+  // A run has a label when it or any of its steps was annotated with it
+  if (label) checks.push(run => store.getAnnotations(run.runId).some(annotation => annotation.label === label));
+  const predicate = checks.length > 0 ? run => checks.every(check => check(run)) : null;
+
+  return { pipeline, status, startTime, endTime, predicate };
+};
+
+// Cursor-paginated listings, newest first; `nextCursor` fetches the next page
+app.get('/api/runs', (req, res) => {
+  const { cursor } = req.query;
+  const { limit, error } = pageParams(req.query, { defaultLimit: 100 });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { items, total, nextCursor } = store.findRuns({
+      ...runFilters(req.query),
+      limit,
+      cursor,
+    });
+
+    res.json({
+      runs: items.map(run => ({ ...run, labels: labelsOf(store.getAnnotations(run.runId)) })),
+      total,
+      limit,
+      nextCursor,
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+});
+
+// Runs with their steps and annotations as NDJSON, newest first. Takes the
+// /api/runs filters; without `limit` every matching run is exported.
+app.get('/api/export', (req, res) => {
+  const { limit, error } = pageParams(req.query, { defaultLimit: Infinity, maxLimit: Infinity });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { items } = store.findRuns({ ...runFilters(req.query), limit });
+
+  // Serialize one run at a time, only as fast as the client reads
+  function* lines() {
+    for (const run of items) yield snapshotLine(run, store.getAnnotations(run.runId));
+  }
+
+  res.attachment('xray-runs.ndjson');
+  res.type('application/x-ndjson');
+  pipeline(Readable.from(lines()), res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Export error:', error);
   });
 });
 
+// Snapshots can be much larger than a batch of SDK events
+app.post('/api/import', bodyParser.text({ type: 'application/x-ndjson', limit: '200mb' }), (req, res) => {
+  if (typeof req.body !== 'string') {
+    return res.status(400).json({ error: 'Send the snapshot as Content-Type: application/x-ndjson' });
+  }
+
+  const report = importSnapshot(req.body, { store, ingestor, labels: config.annotations.labels });
+  if (report.rejected.length > 0) {
+    console.warn(`Import rejected ${report.rejected.length} snapshot lines`);
+  }
+  res.json({ success: true, ...report });
+});
+
 app.get('/api/steps', (req, res) => {
   const {
     runId,
     name,
     type,
     pipeline,
-    limit = 100,
-    offset = 0,
+    status,
+    parentStepId,
+    depth,
+    cursor,
   } = req.query;
 
-  let results = Array.from(steps.values());
-
-  if (runId) {
-    results = results.filter(step => step.runId === runId);
-  }
-
-  if (name) {
-    results = results.filter(step => step.name === name);
-  }
-
-  if (type) {
-    results = results.filter(step => step.type === type);
+  const { limit, error } = pageParams(req.query, { defaultLimit: 100 });
+  if (error) {
+    return res.status(400).json({ error });
   }
-
-  if (pipeline) {
-    const pipelineRunIds = new Set(runsByPipeline.get(pipeline) || []);
-    results = results.filter(step => pipelineRunIds.has(step.runId));
+  const parsedDepth = depth === undefined ? undefined : Number(depth);
+  if (depth !== undefined && (!Number.isInteger(parsedDepth) || parsedDepth < 0)) {
+    return res.status(400).json({ error: 'depth must be a non-negative integer' });
   }
 
-  results.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const predicate = parentStepId || parsedDepth !== undefined
+    ? step => (!parentStepId || step.parentStepId === parentStepId)
+      && (parsedDepth === undefined || getStepDepth(step) === parsedDepth)
+    : null;
 
-  const total = results.length;
-  const paginated = results.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+  try {
+    const { items, total, nextCursor } = store.findSteps({
+      runId,
+      name,
+      type,
+      status,
+      pipeline,
+      predicate,
+      limit,
+      cursor,
+    });
 
-  res.json({
-    steps: paginated,
-    total,
-    limit: parseInt(limit),
-    offset: parseInt(offset),
-  });
+    res.json({
+      steps: items,
+      total,
+      limit,
+      nextCursor,
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
 });
 
 app.get('/api/query/filter-elimination', (req, res) => {
-  const { threshold = 90, pipeline } = req.query;
-  const thresholdPercent = parseFloat(threshold) / 100;
+  const pipeline = req.query.pipeline;
+  const threshold = parseFloat(req.query.threshold || 90);
 
-  const allRuns = pipeline
-    ? Array.from(runs.values()).filter(r => r.pipeline === pipeline)
-    : Array.from(runs.values());
+  const allRuns = pipeline ? store.getRunsForPipeline(pipeline) : store.getRuns();
 
   const matchingRuns = [];
 
   allRuns.forEach(run => {
     run.steps.forEach(step => {
       if (step.type === 'filter' && step.candidates && step.filtered) {
-        const totalCandidates = step.candidates._summarized
-          ? step.candidates.total
-          : step.candidates.length;
-
-        const totalFiltered = step.filtered._summarized
-          ? step.filtered.total
-          : step.filtered.length;
-
-        const totalInput = totalCandidates + totalFiltered;
-        if (totalInput > 0) {
-          const eliminationRate = totalFiltered / totalInput;
-          if (eliminationRate >= thresholdPercent) {
-            matchingRuns.push({
-              runId: run.runId,
-              pipeline: run.pipeline,
-              stepId: step.stepId,
-              stepName: step.name,
-              eliminationRate: eliminationRate * 100,
-              candidatesIn: totalCandidates,
-              candidatesOut: totalInput - totalFiltered,
-              filteredOut: totalFiltered,
-            });
-          }
+        const { candidateCount, filteredCount, eliminationRate } = stepMetrics(step);
+
+        if (eliminationRate !== null && eliminationRate >= threshold) {
+          matchingRuns.push({
+            runId: run.runId,
+            pipeline: run.pipeline,
+            stepId: step.stepId,
+            stepName: step.name,
+            eliminationRate,
+            candidatesIn: candidateCount,
+            candidatesOut: candidateCount,
+            filteredOut: filteredCount,
+          });
         }
       }
     });
@@ -225,9 +517,227 @@ app.get('/api/query/filter-elimination', (req, res) => {
   res.json({ matches: matchingRuns, count: matchingRuns.length });
 });
 
+app.get('/api/query/filter-reasons', (req, res) => {
+  const { pipeline, stepName, startTime, endTime } = req.query;
+
+  const results = store.findRuns({ pipeline, startTime, endTime, limit: Infinity }).items;
+
+  const groups = aggregateFilterReasons(results, { stepName });
+
+  res.json({ groups, runCount: results.length });
+});
+
+// Records get derived metrics (stepCount, eliminationRate, ...) as plain
+// fields; steps also get their run's pipeline so they can be filtered by it
+const callRecordsOf = (step) => {
+  const run = store.getRun(step.runId);
+  return llmCallRecords(step, run ? run.pipeline : undefined, config.llm.pricing);
+};
+
+const QUERY_SOURCES = {
+  runs: {
+    records: () => store.getRuns().map(run => ({ ...run, ...runMetrics(run) })),
+    defaultSort: 'startTime:desc',
+    timeField: 'startTime',
+  },
+  steps: {
+    records: () => store.getSteps().map(step => {
+      const run = store.getRun(step.runId);
+      return {
+        ...step,
+        ...stepMetrics(step),
+        ...llmStepMetrics(step, config.llm.pricing),
+        pipeline: run ? run.pipeline : undefined,
+      };
+    }),
+    defaultSort: 'timestamp:desc',
+    timeField: 'timestamp',
+  },
+  // One record per LLM call, with its step, pipeline and priced cost
+  llmCalls: {
+    records: () => store.getSteps().flatMap(callRecordsOf),
+    defaultSort: 'timestamp:desc',
+    timeField: 'timestamp',
+  },
+};
+
+app.get('/api/query', (req, res) => {
+  const {
+    from = 'runs',
+    where,
+    sort,
+    fields,
+  } = req.query;
+
+  const source = Object.prototype.hasOwnProperty.call(QUERY_SOURCES, from) ? QUERY_SOURCES[from] : null;
+  if (!source) {
+    return res.status(400).json({ error: `from must be one of: ${Object.keys(QUERY_SOURCES).join(', ')}` });
+  }
+  const { limit, offset, error } = pageParams(req.query, { defaultLimit: 100 });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { results, total } = runQuery(source.records(), {
+      where,
+      sort: sort || source.defaultSort,
+      fields: fields ? fields.split(',').map(f => f.trim()).filter(Boolean) : null,
+      limit,
+      offset,
+    });
+
+    res.json({
+      from,
+      results,
+      total,
+      limit,
+      offset,
+    });
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+    throw error;
+  }
+});
+
+app.get('/api/aggregate', (req, res) => {
+  const {
+    from = 'runs',
+    where,
+    groupBy,
+    bucket,
+    measures,
+  } = req.query;
+
+  const source = Object.prototype.hasOwnProperty.call(QUERY_SOURCES, from) ? QUERY_SOURCES[from] : null;
+  if (!source) {
+    return res.status(400).json({ error: `from must be one of: ${Object.keys(QUERY_SOURCES).join(', ')}` });
+  }
+
+  try {
+    const records = source.records().filter(compileFilter(where));
+    const groups = aggregate(records, {
+      groupBy: groupBy ? groupBy.split(',').map(f => f.trim()).filter(Boolean) : [],
+      bucket,
+      timeField: req.query.timeField || source.timeField,
+      measures,
+    });
+
+    res.json({ from, groups, recordCount: records.length });
+  } catch (error) {
+    if (error instanceof QuerySyntaxError || error instanceof AggregationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+});
+
+const COST_MEASURES = 'count,count(cost),sum(cost),sum(promptTokens),sum(completionTokens),sum(totalTokens),avg(latencyMs),p95(latencyMs)';
+
+const costSummary = group => ({
+  ...group.key,
+  calls: group.count,
+  // Calls without a recorded cost or a configured price are left out of cost
+  pricedCalls: group['count(cost)'],
+  cost: group['count(cost)'] > 0 ? group['sum(cost)'] : null,
+  promptTokens: group['sum(promptTokens)'],
+  completionTokens: group['sum(completionTokens)'],
+  totalTokens: group['sum(totalTokens)'],
+  avgLatencyMs: group['avg(latencyMs)'],
+  p95LatencyMs: group['p95(latencyMs)'],
+});
+
+app.get('/api/llm/costs', (req, res) => {
+  const {
+    pipeline,
+    startTime,
+    endTime,
+    groupBy = 'pipeline,stepName',
+    bucket,
+  } = req.query;
+
+  const records = store.findSteps({
+    pipeline,
+    startTime,
+    endTime,
+    predicate: step => Boolean(step.llmCalls && step.llmCalls.length),
+    limit: Infinity,
+  }).items.flatMap(callRecordsOf);
+
+  try {
+    const groups = aggregate(records, {
+      groupBy: groupBy.split(',').map(f => f.trim()).filter(Boolean),
+      bucket,
+      timeField: 'timestamp',
+      measures: COST_MEASURES,
+    });
+    const [totals] = aggregate(records, { measures: COST_MEASURES });
+
+    res.json({
+      groups: groups
+        .map(costSummary)
+        // Most expensive first, within each bucket when bucketed
+        .sort((a, b) => {
+          if (a.bucket !== b.bucket) return a.bucket < b.bucket ? -1 : 1;
+          return (b.cost || 0) - (a.cost || 0);
+        }),
+      totals: totals ? costSummary(totals) : null,
+    });
+  } catch (error) {
+    if (error instanceof AggregationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+});
+
+app.get('/api/search', (req, res) => {
+  const {
+    q,
+    pipeline,
+    runId,
+  } = req.query;
+
+  if (!q || !q.trim()) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+  const { limit, offset, error } = pageParams(req.query, { defaultLimit: 20 });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const pipelineRunIds = pipeline ? new Set(store.getRunIdsForPipeline(pipeline)) : null;
+  const hits = searchIndex.search(q, {
+    filter: (stepId, hitRunId) => (!runId || hitRunId === runId)
+      && (!pipelineRunIds || pipelineRunIds.has(hitRunId)),
+  });
+
+  const paginated = hits.slice(offset, offset + limit).map(hit => {
+    const step = store.getStep(hit.stepId) || {};
+    const run = store.getRun(hit.runId);
+    return {
+      ...hit,
+      stepName: step.name,
+      stepType: step.type,
+      pipeline: run ? run.pipeline : null,
+      runUrl: `/api/runs/${hit.runId}`,
+    };
+  });
+
+  res.json({
+    query: q,
+    hits: paginated,
+    total: hits.length,
+    limit,
+    offset,
+  });
+});
+
 app.get('/api/pipelines/:pipeline/stats', (req, res) => {
   const { pipeline } = req.params;
-  const pipelineRuns = Array.from(runs.values()).filter(r => r.pipeline === pipeline);
+  const pipelineRuns = store.getRunsForPipeline(pipeline);
 
   if (pipelineRuns.length === 0) {
     return res.json({
@@ -237,24 +747,53 @@ app.get('/api/pipelines/:pipeline/stats', (req, res) => {
     });
   }
 
+  const countStatus = status => pipelineRuns.filter(r => r.status === status).length;
+  // Durations of unfinished, cancelled or expired runs say nothing about how
+  // long the pipeline takes
+  const completed = pipelineRuns.filter(r => (r.status === 'success' || r.status === 'error') && r.duration);
+
   const stats = {
     totalRuns: pipelineRuns.length,
-    successCount: pipelineRuns.filter(r => r.status === 'success').length,
-    errorCount: pipelineRuns.filter(r => r.status === 'error').length,
-    avgDuration: pipelineRuns
-      .filter(r => r.duration)
-      .reduce((sum, r) => sum + r.duration, 0) / pipelineRuns.filter(r => r.duration).length,
+    successCount: countStatus('success'),
+    errorCount: countStatus('error'),
+    runningCount: countStatus('running'),
+    cancelledCount: countStatus('cancelled'),
+    timedOutCount: countStatus('timed_out'),
+    abandonedCount: countStatus('abandoned'),
+    avgDuration: completed.length > 0
+      ? completed.reduce((sum, r) => sum + r.duration, 0) / completed.length
+      : null,
     avgStepCount: pipelineRuns.reduce((sum, r) => sum + r.steps.length, 0) / pipelineRuns.length,
   };
 
   res.json({ pipeline, stats });
 });
 
+app.get('/api/retention', (req, res) => {
+  res.json({
+    rules: config.retention.rules,
+    checkIntervalMs: config.retention.checkIntervalMs,
+    reports: retentionReports,
+  });
+});
+
+app.post('/api/retention/run', (req, res) => {
+  res.json(applyRetention());
+});
+
 app.get('/api/pipelines', (req, res) => {
-  const pipelines = Array.from(runsByPipeline.keys());
+  const pipelines = store.getPipelines();
   res.json({ pipelines });
 });
 
+// Last in the chain: errors a route didn't handle get a JSON body rather
+// than Express's HTML page with a stack trace
+app.use((error, req, res, next) => {
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) console.error(`${req.method} ${req.path} failed:`, error);
+  res.status(status).json({ error: status >= 500 ? 'Internal server error' : error.message });
+});
+
 app.listen(PORT, () => {
   console.log(`X-Ray API server running on http://localhost:${PORT}`);
 });
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./MemoryStore');
+
+/**
+ * Durable storage backend backed by an append-only NDJSON log.
+ *
+ * Every mutation is appended to the log as `{ op, args }` and the log is
+ * replayed into memory on startup, so reads stay as fast as MemoryStore
+ * while runs survive restarts. compact() rewrites the log as a snapshot of
+ * the current state, dropping removed runs and superseded payloads.
+ */
+class FileStore extends MemoryStore {
+  constructor({ filePath }) {
+    super();
+    this.filePath = filePath;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this._load();
+  }
+
+  createRun(run) {
+    super.createRun(run);
+    // Steps are logged by addStep; don't duplicate them here
+    this._append('createRun', [{ ...run, steps: [] }]);
+    return run;
+  }
+
+  updateRun(runId, changes) {
+    const run = super.updateRun(runId, changes);
+    // Heartbeats only matter to this process; logging them would add a line
+    // per open run every heartbeat interval
+    const { lastHeartbeat, ...logged } = changes;
+    if (run && Object.keys(logged).length > 0) {
+      this._append('updateRun', [runId, logged]);
+    }
+    return run;
+  }
+
+  addStep(step) {
+    super.addStep(step);
+    this._append('addStep', [step]);
+    return step;
+  }
+
+  updateStep(stepId, changes) {
+    const step = super.updateStep(stepId, changes);
+    if (step) {
+      this._append('updateStep', [stepId, changes]);
+    }
+    return step;
+  }
+
+  removeRun(runId) {
+    const run = super.removeRun(runId);
+    if (run) {
+      this._append('removeRun', [runId]);
+    }
+    return run;
+  }
+
+  addAnnotation(annotation) {
+    super.addAnnotation(annotation);
+    this._append('addAnnotation', [annotation]);
+    return annotation;
+  }
+
+  removeAnnotation(runId, annotationId) {
+    const removed = super.removeAnnotation(runId, annotationId);
+    if (removed) {
+      this._append('removeAnnotation', [runId, annotationId]);
+    }
+    return removed;
+  }
+
+  /**
+   * Replay the log. Only an unparseable last line is tolerated: a crash
+   * mid-write leaves one, and it is cut off so later appends start on a
+   * fresh line. Any other bad entry throws rather than silently dropping,
+   * say, a removeRun and bringing deleted runs back.
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    const lines = content.split('\n');
+    let last = lines.length - 1;
+    while (last >= 0 && !lines[last].trim()) last--;
+
+    for (let i = 0; i <= last; i++) {
+      if (!lines[i].trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (error) {
+        if (i === last) {
+          console.warn(`FileStore: dropping truncated last entry in ${this.filePath}`);
+          const kept = lines.slice(0, i).map(line => `${line}\n`).join('');
+          fs.truncateSync(this.filePath, Buffer.byteLength(kept));
+          return;
+        }
+        throw new Error(`FileStore: unreadable entry on line ${i + 1} of ${this.filePath}: ${error.message}`);
+      }
+
+      const apply = MemoryStore.prototype[entry.op];
+      if (typeof apply !== 'function' || !Array.isArray(entry.args)) {
+        throw new Error(`FileStore: unknown operation on line ${i + 1} of ${this.filePath}`);
+      }
+      apply.apply(this, entry.args);
+    }
+  }
+
+  // Write the snapshot beside the log and rename it over, so a crash midway
+  // leaves the old log intact
+  compact() {
+    const tmpPath = `${this.filePath}.compact`;
+    const fd = fs.openSync(tmpPath, 'w');
+    const write = (op, args) => fs.writeSync(fd, JSON.stringify({ op, args }) + '\n');
+
+    try {
+      this.runs.forEach(run => write('createRun', [{ ...run, steps: [] }]));
+      this.steps.forEach(step => write('addStep', [step]));
+      this.annotationsByRun.forEach(annotations => {
+        annotations.forEach(annotation => write('addAnnotation', [annotation]));
+      });
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  _append(op, args) {
+    fs.appendFileSync(this.filePath, JSON.stringify({ op, args }) + '\n');
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,336 @@
+const { compareSteps } = require('../lib/stepOrder');
+const TimeIndex = require('./TimeIndex');
+const { encodeCursor, decodeCursor } = require('./cursor');
+
+/**
+ * In-memory storage backend.
+ * Fast and dependency-free, but everything is lost when the process exits.
+ *
+ * Runs and steps are indexed at write time, newest first, by time and by the
+ * fields the API filters on, so findRuns/findSteps only visit records that
+ * can match.
+ */
+class MemoryStore {
+  constructor() {
+    this.runs = new Map();
+    this.steps = new Map();
+    // Steps per run, kept in step order. Steps that arrive before their run
+    // wait here and are attached when the run is created.
+    this.stepsByRun = new Map();
+    this.runsByPipeline = new Map();
+    // runId -> annotations, oldest first
+    this.annotationsByRun = new Map();
+
+    // field -> key function; each field gets a Map(value -> TimeIndex)
+    this.runKeys = {
+      pipeline: run => run.pipeline,
+      status: run => run.status,
+    };
+    this.stepKeys = {
+      runId: step => step.runId,
+      name: step => step.name,
+      type: step => step.type,
+      status: step => step.status || 'success',
+      pipeline: step => {
+        const run = this.runs.get(step.runId);
+        return run ? run.pipeline : undefined;
+      },
+    };
+    this.runIndexes = { all: new TimeIndex(), by: this._emptyIndexes(this.runKeys) };
+    this.stepIndexes = { all: new TimeIndex(), by: this._emptyIndexes(this.stepKeys) };
+  }
+
+  createRun(run) {
+    const existing = this.runs.get(run.runId);
+    if (existing) {
+      this._unindex(this.runIndexes, this._keyValues(this.runKeys, existing), run.runId, existing.startTime);
+    }
+
+    run.steps = this._stepsFor(run.runId);
+    this.runs.set(run.runId, run);
+    this._index(this.runIndexes, this.runKeys, run, run.runId, run.startTime);
+
+    if (!this.runsByPipeline.has(run.pipeline)) {
+      this.runsByPipeline.set(run.pipeline, []);
+    }
+    const pipelineRunIds = this.runsByPipeline.get(run.pipeline);
+    if (!pipelineRunIds.includes(run.runId)) {
+      pipelineRunIds.push(run.runId);
+    }
+
+    // Steps that arrived first could not be indexed by pipeline until now
+    if (!existing) {
+      run.steps.forEach(step => {
+        this._indexValue(this.stepIndexes, 'pipeline', run.pipeline, step, step.stepId, step.timestamp);
+      });
+    }
+
+    return run;
+  }
+
+  updateRun(runId, changes) {
+    const run = this.runs.get(runId);
+    if (!run) return null;
+
+    const oldValues = this._keyValues(this.runKeys, run);
+    const oldTime = run.startTime;
+    Object.assign(run, changes);
+
+    // Only move index entries whose key (usually just status) changed
+    const timeChanged = run.startTime !== oldTime;
+    if (timeChanged) {
+      this.runIndexes.all.remove(runId, oldTime);
+      this.runIndexes.all.insert(runId, run.startTime, run);
+    }
+    Object.entries(this._keyValues(this.runKeys, run)).forEach(([field, value]) => {
+      if (!timeChanged && value === oldValues[field]) return;
+      this._unindexValue(this.runIndexes, field, oldValues[field], runId, oldTime);
+      this._indexValue(this.runIndexes, field, value, run, runId, run.startTime);
+    });
+    return run;
+  }
+
+  addStep(step) {
+    if (this.steps.has(step.stepId)) return this.steps.get(step.stepId);
+
+    this.steps.set(step.stepId, step);
+    this._index(this.stepIndexes, this.stepKeys, step, step.stepId, step.timestamp);
+
+    // Insert in order rather than arrival order; batches can arrive shuffled
+    const runSteps = this._stepsFor(step.runId);
+    let i = runSteps.length;
+    while (i > 0 && compareSteps(runSteps[i - 1], step) > 0) i--;
+    runSteps.splice(i, 0, step);
+
+    return step;
+  }
+
+  // Changes must not move the step to another run or reorder it
+  updateStep(stepId, changes) {
+    const step = this.steps.get(stepId);
+    if (!step) return null;
+
+    const oldValues = this._keyValues(this.stepKeys, step);
+    Object.assign(step, changes);
+    Object.entries(this._keyValues(this.stepKeys, step)).forEach(([field, value]) => {
+      if (value === oldValues[field]) return;
+      this._unindexValue(this.stepIndexes, field, oldValues[field], stepId, step.timestamp);
+      this._indexValue(this.stepIndexes, field, value, step, stepId, step.timestamp);
+    });
+    return step;
+  }
+
+  /**
+   * Delete a run along with its steps and annotations.
+   * @returns {Object|null} The removed run
+   */
+  removeRun(runId) {
+    const run = this.runs.get(runId);
+    if (!run) return null;
+
+    // Step keys include the run's pipeline, so unindex steps first
+    run.steps.forEach(step => {
+      this._unindex(this.stepIndexes, this._keyValues(this.stepKeys, step), step.stepId, step.timestamp);
+      this.steps.delete(step.stepId);
+    });
+    this.stepsByRun.delete(runId);
+
+    this._unindex(this.runIndexes, this._keyValues(this.runKeys, run), runId, run.startTime);
+    this.runs.delete(runId);
+
+    const pipelineRunIds = this.runsByPipeline.get(run.pipeline) || [];
+    const i = pipelineRunIds.indexOf(runId);
+    if (i !== -1) pipelineRunIds.splice(i, 1);
+    if (pipelineRunIds.length === 0) this.runsByPipeline.delete(run.pipeline);
+
+    this.annotationsByRun.delete(runId);
+    return run;
+  }
+
+  _stepsFor(runId) {
+    if (!this.stepsByRun.has(runId)) {
+      this.stepsByRun.set(runId, []);
+    }
+    return this.stepsByRun.get(runId);
+  }
+
+  _emptyIndexes(keys) {
+    const by = {};
+    Object.keys(keys).forEach(field => {
+      by[field] = new Map();
+    });
+    return by;
+  }
+
+  _index(indexes, keys, record, id, time) {
+    indexes.all.insert(id, time, record);
+    Object.entries(keys).forEach(([field, keyOf]) => {
+      this._indexValue(indexes, field, keyOf(record), record, id, time);
+    });
+  }
+
+  _indexValue(indexes, field, value, record, id, time) {
+    if (value === undefined || value === null) return;
+
+    const byValue = indexes.by[field];
+    if (!byValue.has(value)) byValue.set(value, new TimeIndex());
+    byValue.get(value).insert(id, time, record);
+  }
+
+  _keyValues(keys, record) {
+    const values = {};
+    Object.entries(keys).forEach(([field, keyOf]) => {
+      values[field] = keyOf(record);
+    });
+    return values;
+  }
+
+  _unindex(indexes, keyValues, id, time) {
+    indexes.all.remove(id, time);
+    Object.entries(keyValues).forEach(([field, value]) => {
+      this._unindexValue(indexes, field, value, id, time);
+    });
+  }
+
+  _unindexValue(indexes, field, value, id, time) {
+    const index = indexes.by[field].get(value);
+    if (!index) return;
+
+    index.remove(id, time);
+    if (index.size === 0) indexes.by[field].delete(value);
+  }
+
+  /**
+   * Walk the smallest matching index newest-first.
+   * @returns {Object} { items, total, nextCursor }
+   * @throws {InvalidCursorError}
+   */
+  _find(indexes, keys, filters, { startTime, endTime, predicate, limit = 100, cursor } = {}) {
+    const equalities = Object.entries(filters)
+      .filter(([field, value]) => keys[field] && value !== undefined && value !== null && value !== '');
+
+    let index = indexes.all;
+    let chosenField = null;
+    for (const [field, value] of equalities) {
+      const candidate = indexes.by[field].get(value);
+      if (!candidate) return { items: [], total: 0, nextCursor: null };
+      if (candidate.size < index.size || chosenField === null) {
+        index = candidate;
+        chosenField = field;
+      }
+    }
+
+    const checks = equalities
+      .filter(([field]) => field !== chosenField)
+      .map(([field, value]) => record => keys[field](record) === value);
+    if (predicate) checks.push(predicate);
+    const matches = record => checks.every(check => check(record));
+
+    const [low, high] = index.range({ startTime, endTime });
+    let total = high - low;
+    if (checks.length > 0) {
+      total = 0;
+      for (let i = low; i < high; i++) {
+        if (matches(index.entries[i].record)) total++;
+      }
+    }
+
+    const before = cursor ? decodeCursor(cursor) : null;
+    const [pageLow, pageHigh] = index.range({ startTime, endTime, before });
+    const items = [];
+    let last = null;
+    let hasMore = false;
+
+    for (let i = pageHigh - 1; i >= pageLow; i--) {
+      const entry = index.entries[i];
+      if (!matches(entry.record)) continue;
+      if (items.length === limit) {
+        hasMore = true;
+        break;
+      }
+      items.push(entry.record);
+      last = entry;
+    }
+
+    // A page of zero items has no last entry to continue from
+    return { items, total, nextCursor: hasMore && last ? encodeCursor(last) : null };
+  }
+
+  /**
+   * Runs newest first.
+   * @param {Object} query - { pipeline, status, startTime, endTime, predicate, limit, cursor }
+   */
+  findRuns({ pipeline, status, ...options } = {}) {
+    return this._find(this.runIndexes, this.runKeys, { pipeline, status }, options);
+  }
+
+  /**
+   * Steps newest first.
+   * @param {Object} query - { runId, name, type, status, pipeline, startTime, endTime, predicate, limit, cursor }
+   */
+  findSteps({ runId, name, type, status, pipeline, ...options } = {}) {
+    return this._find(this.stepIndexes, this.stepKeys, { runId, name, type, status, pipeline }, options);
+  }
+
+  addAnnotation(annotation) {
+    if (!this.annotationsByRun.has(annotation.runId)) {
+      this.annotationsByRun.set(annotation.runId, []);
+    }
+    this.annotationsByRun.get(annotation.runId).push(annotation);
+    return annotation;
+  }
+
+  removeAnnotation(runId, annotationId) {
+    const annotations = this.annotationsByRun.get(runId) || [];
+    const i = annotations.findIndex(annotation => annotation.annotationId === annotationId);
+    if (i === -1) return null;
+
+    const [removed] = annotations.splice(i, 1);
+    if (annotations.length === 0) this.annotationsByRun.delete(runId);
+    return removed;
+  }
+
+  getAnnotations(runId) {
+    return this.annotationsByRun.get(runId) || [];
+  }
+
+  getAnnotatedRunIds() {
+    return Array.from(this.annotationsByRun.keys());
+  }
+
+  getRun(runId) {
+    return this.runs.get(runId) || null;
+  }
+
+  getStep(stepId) {
+    return this.steps.get(stepId) || null;
+  }
+
+  getRuns() {
+    return Array.from(this.runs.values());
+  }
+
+  getSteps() {
+    return Array.from(this.steps.values());
+  }
+
+  getRunIdsForPipeline(pipeline) {
+    return this.runsByPipeline.get(pipeline) || [];
+  }
+
+  getRunsForPipeline(pipeline) {
+    const index = this.runIndexes.by.pipeline.get(pipeline);
+    return index ? index.entries.map(entry => entry.record).reverse() : [];
+  }
+
+  getPipelines() {
+    return Array.from(this.runsByPipeline.keys());
+  }
+
+  // Reclaim space held by removed or compacted records; nothing to do in memory
+  compact() {}
+
+  close() {}
+}
+
+module.exports = MemoryStore;
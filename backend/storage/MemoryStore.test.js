@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MemoryStore = require('./MemoryStore');
+const { InvalidCursorError } = require('./cursor');
+
+const minute = n => new Date(Date.UTC(2024, 0, 1, 0, n)).toISOString();
+
+// run_0 .. run_{count-1}, one minute apart, alternating pipelines
+const storeWithRuns = count => {
+  const store = new MemoryStore();
+  for (let i = 0; i < count; i++) {
+    store.createRun({ runId: `run_${i}`, pipeline: i % 2 ? 'odd' : 'even', status: 'success', startTime: minute(i) });
+  }
+  return store;
+};
+
+const ids = result => result.items.map(run => run.runId);
+
+// Follow nextCursor until the last page
+const allPages = (store, query) => {
+  const pages = [];
+  let cursor;
+  do {
+    const result = store.findRuns({ ...query, cursor });
+    pages.push(ids(result));
+    cursor = result.nextCursor;
+  } while (cursor);
+  return pages;
+};
+
+test('cursors walk every run once, newest first', () => {
+  const store = storeWithRuns(5);
+
+  assert.deepStrictEqual(allPages(store, { limit: 2 }), [
+    ['run_4', 'run_3'],
+    ['run_2', 'run_1'],
+    ['run_0'],
+  ]);
+});
+
+test('a page that ends exactly at the last item has no next cursor', () => {
+  const store = storeWithRuns(4);
+
+  assert.deepStrictEqual(allPages(store, { limit: 2 }), [['run_3', 'run_2'], ['run_1', 'run_0']]);
+});
+
+test('total counts every match, not just the page', () => {
+  const result = storeWithRuns(5).findRuns({ pipeline: 'even', limit: 1 });
+
+  assert.deepStrictEqual(ids(result), ['run_4']);
+  assert.strictEqual(result.total, 3);
+});
+
+test('paging stays stable while newer runs arrive', () => {
+  const store = storeWithRuns(4);
+
+  const first = store.findRuns({ limit: 2 });
+  store.createRun({ runId: 'run_new', pipeline: 'even', status: 'success', startTime: minute(10) });
+  const second = store.findRuns({ limit: 2, cursor: first.nextCursor });
+
+  assert.deepStrictEqual(ids(first), ['run_3', 'run_2']);
+  assert.deepStrictEqual(ids(second), ['run_1', 'run_0']);
+});
+
+test('runs with the same start time are ordered by ID and not skipped', () => {
+  const store = new MemoryStore();
+  ['run_b', 'run_c', 'run_a'].forEach(runId => {
+    store.createRun({ runId, pipeline: 'p', status: 'success', startTime: minute(0) });
+  });
+
+  assert.deepStrictEqual(allPages(store, { limit: 1 }), [['run_c'], ['run_b'], ['run_a']]);
+});
+
+test('startTime and endTime bound the results inclusively', () => {
+  const store = storeWithRuns(6);
+
+  const result = store.findRuns({ startTime: minute(1), endTime: minute(3) });
+  assert.deepStrictEqual(ids(result), ['run_3', 'run_2', 'run_1']);
+  assert.strictEqual(result.total, 3);
+
+  assert.deepStrictEqual(allPages(store, { startTime: minute(1), endTime: minute(3), limit: 2 }), [
+    ['run_3', 'run_2'],
+    ['run_1'],
+  ]);
+});
+
+test('filters and predicates page over matches only', () => {
+  const store = storeWithRuns(8);
+  store.updateRun('run_5', { status: 'error' });
+
+  assert.deepStrictEqual(allPages(store, { pipeline: 'odd', status: 'success', limit: 2 }), [
+    ['run_7', 'run_3'],
+    ['run_1'],
+  ]);
+  assert.deepStrictEqual(allPages(store, { predicate: run => run.runId !== 'run_6', limit: 3 }), [
+    ['run_7', 'run_5', 'run_4'],
+    ['run_3', 'run_2', 'run_1'],
+    ['run_0'],
+  ]);
+});
+
+test('an unknown filter value finds nothing', () => {
+  assert.deepStrictEqual(storeWithRuns(3).findRuns({ pipeline: 'missing' }), { items: [], total: 0, nextCursor: null });
+});
+
+test('limit defaults to 100', () => {
+  const result = storeWithRuns(101).findRuns();
+
+  assert.strictEqual(result.items.length, 100);
+  assert.ok(result.nextCursor);
+});
+
+test('malformed cursors raise InvalidCursorError', () => {
+  const store = storeWithRuns(2);
+  const badCursors = ['not a cursor', Buffer.from('{"ms":1}').toString('base64url'), Buffer.from('[1,2]').toString('base64url')];
+
+  badCursors.forEach(cursor => {
+    assert.throws(() => store.findRuns({ cursor }), InvalidCursorError);
+  });
+});
+
+test('steps page the same way', () => {
+  const store = storeWithRuns(1);
+  for (let i = 0; i < 3; i++) {
+    store.addStep({ stepId: `step_${i}`, runId: 'run_0', name: 'filter', sequence: i, timestamp: minute(i) });
+  }
+
+  const first = store.findSteps({ runId: 'run_0', limit: 2 });
+  const second = store.findSteps({ runId: 'run_0', limit: 2, cursor: first.nextCursor });
+
+  assert.deepStrictEqual(first.items.map(step => step.stepId), ['step_2', 'step_1']);
+  assert.deepStrictEqual(second.items.map(step => step.stepId), ['step_0']);
+  assert.strictEqual(second.nextCursor, null);
+});
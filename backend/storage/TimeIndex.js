@@ -0,0 +1,72 @@
+/**
+ * Records ordered by (time, id), with binary-searched inserts, removals and
+ * range lookups. Times are parsed once, on insert.
+ *
+ * Entries are stored oldest first so the common case, records arriving in
+ * time order, is an append; readers walk them newest first.
+ */
+class TimeIndex {
+  constructor() {
+    // [{ ms, id, record }], ascending by ms, then id
+    this.entries = [];
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  static toMs(time) {
+    const ms = time ? Date.parse(time) : NaN;
+    return isNaN(ms) ? 0 : ms;
+  }
+
+  // Number of entries sorting before (ms, id)
+  _position(ms, id) {
+    let low = 0;
+    let high = this.entries.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      const entry = this.entries[mid];
+      if (entry.ms < ms || (entry.ms === ms && entry.id < id)) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  insert(id, time, record) {
+    const ms = TimeIndex.toMs(time);
+    const last = this.entries[this.entries.length - 1];
+
+    if (!last || last.ms < ms || (last.ms === ms && last.id < id)) {
+      this.entries.push({ ms, id, record });
+    } else {
+      this.entries.splice(this._position(ms, id), 0, { ms, id, record });
+    }
+  }
+
+  remove(id, time) {
+    const i = this._position(TimeIndex.toMs(time), id);
+    if (i < this.entries.length && this.entries[i].id === id) {
+      this.entries.splice(i, 1);
+    }
+  }
+
+  /**
+   * Positions [low, high) of entries within startTime..endTime (inclusive).
+   * With a cursor { ms, id }, high stops before the cursor entry, so walking
+   * down from high - 1 continues where the previous page ended.
+   */
+  range({ startTime, endTime, before } = {}) {
+    const low = startTime ? this._position(TimeIndex.toMs(startTime), '') : 0;
+    let high = endTime
+      ? this._position(TimeIndex.toMs(endTime) + 1, '')
+      : this.entries.length;
+
+    if (before) {
+      high = Math.min(high, this._position(before.ms, before.id));
+    }
+    return [low, Math.max(low, high)];
+  }
+}
+
+module.exports = TimeIndex;
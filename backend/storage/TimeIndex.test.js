@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TimeIndex = require('./TimeIndex');
+
+const ids = (index, [low, high]) => index.entries.slice(low, high).map(entry => entry.id);
+
+test('entries stay ordered by time, then ID, whatever the insert order', () => {
+  const index = new TimeIndex();
+  index.insert('c', '2024-01-01T00:00:02Z', {});
+  index.insert('a', '2024-01-01T00:00:01Z', {});
+  index.insert('b', '2024-01-01T00:00:02Z', {});
+  index.insert('d', '2024-01-01T00:00:03Z', {});
+
+  assert.deepStrictEqual(index.entries.map(entry => entry.id), ['a', 'b', 'c', 'd']);
+});
+
+test('remove finds the entry by time and ID', () => {
+  const index = new TimeIndex();
+  ['a', 'b', 'c'].forEach(id => index.insert(id, '2024-01-01T00:00:00Z', {}));
+
+  index.remove('b', '2024-01-01T00:00:00Z');
+  index.remove('a', '2024-01-01T00:00:05Z');
+
+  assert.deepStrictEqual(index.entries.map(entry => entry.id), ['a', 'c']);
+});
+
+test('range is inclusive and stops before the cursor entry', () => {
+  const index = new TimeIndex();
+  ['a', 'b', 'c', 'd'].forEach((id, i) => index.insert(id, `2024-01-01T00:00:0${i}Z`, {}));
+
+  assert.deepStrictEqual(ids(index, index.range({ startTime: '2024-01-01T00:00:01Z', endTime: '2024-01-01T00:00:02Z' })), ['b', 'c']);
+  assert.deepStrictEqual(ids(index, index.range({ before: index.entries[2] })), ['a', 'b']);
+  assert.deepStrictEqual(index.range({ startTime: '2024-01-01T00:00:03Z', before: index.entries[1] }), [3, 3]);
+});
+
+test('records without a valid time sort first', () => {
+  const index = new TimeIndex();
+  index.insert('timed', '2024-01-01T00:00:00Z', {});
+  index.insert('untimed', undefined, {});
+  index.insert('garbled', 'yesterday', {});
+
+  assert.deepStrictEqual(index.entries.map(entry => entry.id), ['garbled', 'untimed', 'timed']);
+});
@@ -0,0 +1,28 @@
+/**
+ * Opaque pagination cursors: base64url of the last returned item's [ms, id].
+ */
+
+class InvalidCursorError extends Error {
+  constructor() {
+    super('Invalid cursor');
+    this.name = 'InvalidCursorError';
+  }
+}
+
+const encodeCursor = ({ ms, id }) => Buffer.from(JSON.stringify([ms, id])).toString('base64url');
+
+/**
+ * @returns {Object} { ms, id }
+ * @throws {InvalidCursorError}
+ */
+function decodeCursor(cursor) {
+  try {
+    const [ms, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof ms !== 'number' || typeof id !== 'string') throw new Error('bad cursor shape');
+    return { ms, id };
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+}
+
+module.exports = { InvalidCursorError, encodeCursor, decodeCursor };
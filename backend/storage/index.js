@@ -0,0 +1,28 @@
+const path = require('path');
+const MemoryStore = require('./MemoryStore');
+const FileStore = require('./FileStore');
+const { InvalidCursorError } = require('./cursor');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'xray.ndjson');
+
+/**
+ * Create the storage backend selected by configuration.
+ * @param {Object} options - { driver: 'memory' | 'file', filePath }
+ * @returns {MemoryStore} Store instance
+ */
+function createStore(options = {}) {
+  const driver = options.driver || process.env.XRAY_STORAGE || 'memory';
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore({
+        filePath: options.filePath || process.env.XRAY_DATA_FILE || DEFAULT_DATA_FILE,
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = { createStore, MemoryStore, FileStore, InvalidCursorError };
@@ -1,8 +1,14 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { initXRay, getXRay } from './xray-sdk/index';
 import CompetitorSelectionDemo from './demo/CompetitorSelectionDemo';
 import ListingOptimizationDemo from './demo/ListingOptimizationDemo';
 import ProductCategorizationDemo from './demo/ProductCategorizationDemo';
+import StepTree from './components/StepTree';
+import ItemTrace from './components/ItemTrace';
+import StepSearch from './components/StepSearch';
+import RunDiff from './components/RunDiff';
+import AnnotationPanel, { ANNOTATION_LABELS } from './components/AnnotationPanel';
+import LLMCosts from './components/LLMCosts';
 import './App.css';
 
 function App() {
@@ -13,24 +19,106 @@ function App() {
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
   const [queryResults, setQueryResults] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [labelFilter, setLabelFilter] = useState('');
+  const [llmCosts, setLlmCosts] = useState(null);
   const [selectedAlgorithm, setSelectedAlgorithm] = useState('competitor-selection');
+  const [live, setLive] = useState(false);
+  // Read by the live stream handlers, which are set up once
+  const labelFilterRef = useRef(labelFilter);
+  const selectedRunIdRef = useRef(null);
 
   useEffect(() => {
-    initXRay({
+    labelFilterRef.current = labelFilter;
+    selectedRunIdRef.current = selectedRun ? selectedRun.runId : null;
+  }, [labelFilter, selectedRun]);
+
+  useEffect(() => {
+    const xray = initXRay({
       apiUrl: 'http://localhost:3001/api',
       enabled: true,
+      persistQueue: true,
+      // Send steps promptly so the dashboard can show them as they happen
+      flushInterval: 500,
       metadata: {
         environment: 'demo',
         version: '1.0.0',
       },
     });
+    CompetitorSelectionDemo.registerReplayableSteps(xray);
+    ProductCategorizationDemo.registerReplayableSteps(xray);
     setXrayInitialized(true);
     loadRuns();
   }, []);
 
-  const loadRuns = async () => {
+  // Live updates: new runs, their steps and status changes as they are ingested
+  useEffect(() => {
+    // Not available in every environment, e.g. jsdom
+    if (typeof EventSource === 'undefined') return undefined;
+
+    const source = new EventSource('http://localhost:3001/api/stream');
+    let refreshTimer = null;
+
+    // Reload the open run, and with it the step tree, at most every 250ms
+    const refreshSelectedRun = (runId) => {
+      if (selectedRunIdRef.current !== runId || refreshTimer) return;
+
+      refreshTimer = setTimeout(async () => {
+        refreshTimer = null;
+        try {
+          const response = await fetch(`http://localhost:3001/api/runs/${runId}?tree=true`);
+          if (!response.ok) return;
+
+          const run = await response.json();
+          setSelectedRun(prev => (prev && prev.runId === run.runId ? run : prev));
+        } catch (err) {
+          console.error('Failed to refresh run:', err);
+        }
+      }, 250);
+    };
+
+    const updateRun = (runId, update) => {
+      setRuns(prev => prev.map(run => (run.runId === runId ? update(run) : run)));
+    };
+
+    source.onopen = () => setLive(true);
+    source.onerror = () => setLive(false);
+
+    source.addEventListener('run_start', (e) => {
+      const { stepCount, ...run } = JSON.parse(e.data);
+      // A new run has no labels yet, so it can't match a label filter
+      if (labelFilterRef.current) return;
+
+      setRuns(prev => [
+        { ...run, steps: [], labels: [] },
+        ...prev.filter(r => r.runId !== run.runId),
+      ].slice(0, 50));
+    });
+
+    source.addEventListener('step', (e) => {
+      const step = JSON.parse(e.data);
+      updateRun(step.runId, run => (run.steps.some(s => s.stepId === step.stepId)
+        ? run
+        : { ...run, steps: [...run.steps, step] }));
+      refreshSelectedRun(step.runId);
+    });
+
+    source.addEventListener('run_end', (e) => {
+      const { stepCount, ...ended } = JSON.parse(e.data);
+      updateRun(ended.runId, run => ({ ...run, ...ended }));
+      refreshSelectedRun(ended.runId);
+    });
+
+    return () => {
+      source.close();
+      clearTimeout(refreshTimer);
+    };
+  }, []);
+
+  const loadRuns = async (label) => {
     try {
-      const response = await fetch('http://localhost:3001/api/runs?limit=50');
+      const labelParam = label ? `&label=${encodeURIComponent(label)}` : '';
+      const response = await fetch(`http://localhost:3001/api/runs?limit=50${labelParam}`);
       const data = await response.json();
       setRuns(data.runs || []);
     } catch (err) {
@@ -95,7 +183,6 @@ function App() {
       await getXRay().flush();
 
       setResult(result);
-      setTimeout(loadRuns, 500);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -106,7 +193,7 @@ function App() {
   const handleViewRun = async (runId) => {
     try {
       setError(null);
-      const response = await fetch(`http://localhost:3001/api/runs/${runId}`);
+      const response = await fetch(`http://localhost:3001/api/runs/${runId}?tree=true`);
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -121,6 +208,60 @@ function App() {
     }
   };
 
+  const handleLabelFilter = (label) => {
+    setLabelFilter(label);
+    loadRuns(label);
+  };
+
+  const showComparison = async (baseId, compareId) => {
+    try {
+      setError(null);
+      const response = await fetch(`http://localhost:3001/api/runs/${baseId}/diff/${compareId}`);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      setComparison(await response.json());
+      setSelectedRun(null);
+    } catch (err) {
+      setError(`Comparison failed: ${err.message}`);
+    }
+  };
+
+  // The older run is the baseline, so changes read as "what changed since"
+  const handleCompareRuns = (run, otherRunId) => {
+    const other = runs.find(r => r.runId === otherRunId);
+    return other && new Date(other.startTime) > new Date(run.startTime)
+      ? showComparison(run.runId, otherRunId)
+      : showComparison(otherRunId, run.runId);
+  };
+
+  // Re-run one recorded step from its input, then show it next to the original
+  const handleReplayStep = async (step) => {
+    try {
+      setError(null);
+      const replay = await getXRay().replayStep(step.runId, step.stepId);
+      await showComparison(step.runId, replay.runId);
+    } catch (err) {
+      setError(`Replay failed: ${err.message}`);
+    }
+  };
+
+  const handleLoadLLMCosts = async () => {
+    try {
+      setError(null);
+      const response = await fetch('http://localhost:3001/api/llm/costs');
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      setLlmCosts(await response.json());
+    } catch (err) {
+      setError(`Failed to load LLM costs: ${err.message}`);
+    }
+  };
+
   const handleQueryFilterElimination = async () => {
     try {
       setError(null);
@@ -194,10 +335,32 @@ function App() {
             <section className="runs-section">
               <div className="runs-header">
                 <h2>Recent Runs ({runs.length})</h2>
-                <button onClick={loadRuns}>Refresh</button>
+                <span className={`live-indicator${live ? ' live' : ''}`}>
+                  {live ? '● Live' : '○ Offline'}
+                </span>
+                <button onClick={() => loadRuns(labelFilter)}>Refresh</button>
                 <button onClick={handleQueryFilterElimination}>
                   Query: Filter Elimination &gt;90%
                 </button>
+                <button onClick={handleLoadLLMCosts}>LLM Costs</button>
+                <select value={labelFilter} onChange={(e) => handleLabelFilter(e.target.value)}>
+                  <option value="">All labels</option>
+                  {ANNOTATION_LABELS.map(label => (
+                    <option key={label} value={label}>{label}</option>
+                  ))}
+                </select>
+                <a
+                  className="export-link"
+                  href={`http://localhost:3001/api/annotations/export${labelFilter ? `?label=${encodeURIComponent(labelFilter)}` : ''}`}
+                >
+                  Export Annotated Runs
+                </a>
+                <a
+                  className="export-link"
+                  href={`http://localhost:3001/api/export${labelFilter ? `?label=${encodeURIComponent(labelFilter)}` : ''}`}
+                >
+                  Export Runs
+                </a>
               </div>
 
               <div className="runs-list">
@@ -210,6 +373,13 @@ function App() {
                         <span className="run-id">{run.runId}</span>
                         <span className={`status status-${run.status}`}>{run.status}</span>
                       </div>
+                      {run.labels && run.labels.length > 0 && (
+                        <div className="run-labels">
+                          {run.labels.map(label => (
+                            <span key={label} className={`label-badge label-${label}`}>{label}</span>
+                          ))}
+                        </div>
+                      )}
                       <div className="run-info">
                         <div><strong>Pipeline:</strong> {run.pipeline}</div>
                         <div><strong>Steps:</strong> {run.steps.length}</div>
@@ -217,6 +387,9 @@ function App() {
                           <div><strong>Duration:</strong> {run.duration}ms</div>
                         )}
                         <div><strong>Started:</strong> {new Date(run.startTime).toLocaleString()}</div>
+                        {run.statusReason && (
+                          <div><strong>Reason:</strong> {run.statusReason}</div>
+                        )}
                       </div>
                       <button onClick={() => handleViewRun(run.runId)}>
                         View Details
@@ -227,6 +400,11 @@ function App() {
               </div>
             </section>
 
+            <section className="search-section">
+              <h2>Search Reasoning</h2>
+              <StepSearch onViewRun={handleViewRun} />
+            </section>
+
             {queryResults && (
               <section className="query-results-section">
                 <div className="query-results-header">
@@ -272,6 +450,30 @@ function App() {
               </section>
             )}
 
+            {llmCosts && (
+              <section className="query-results-section">
+                <div className="query-results-header">
+                  <h2>LLM Costs by Pipeline and Step</h2>
+                  <button onClick={() => setLlmCosts(null)}>Close</button>
+                </div>
+                <div className="query-results-content">
+                  <LLMCosts costs={llmCosts} />
+                </div>
+              </section>
+            )}
+
+            {comparison && (
+              <section className="query-results-section">
+                <div className="query-results-header">
+                  <h2>Run Comparison</h2>
+                  <button onClick={() => setComparison(null)}>Close</button>
+                </div>
+                <div className="query-results-content">
+                  <RunDiff diff={comparison} onViewRun={handleViewRun} />
+                </div>
+              </section>
+            )}
+
             {selectedRun && (
               <div className="dialog-overlay" onClick={() => setSelectedRun(null)}>
                 <div className="dialog-panel" onClick={(e) => e.stopPropagation()}>
@@ -294,6 +496,8 @@ function App() {
                           runId: selectedRun.runId,
                           pipeline: selectedRun.pipeline,
                           status: selectedRun.status,
+                          statusReason: selectedRun.statusReason,
+                          compactedAt: selectedRun.compactedAt,
                           duration: selectedRun.duration,
                           stepCount: selectedRun.steps ? selectedRun.steps.length : 0,
                           input: selectedRun.input,
@@ -302,200 +506,77 @@ function App() {
                       </div>
 
                       <div className="run-detail-section">
-                        <h3>Pipeline Steps ({selectedRun.steps ? selectedRun.steps.length : 0})</h3>
-                        {selectedRun.steps && selectedRun.steps.length > 0 ? (
-                          <div className="steps-timeline">
-                            {selectedRun.steps.map((step, idx) => (
-                              <div key={step.stepId || idx} className="step-timeline-item">
-                                <div className="step-number">{idx + 1}</div>
-                                <div className="step-content">
-                                  <div className="step-title-row">
-                                    <h4 className="step-title">{step.name.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}</h4>
-                                    <div className="step-badges">
-                                      <span className={`step-type-badge step-type-${step.type}`}>{step.type}</span>
-                                      {step.duration && (
-                                        <span className="step-duration-badge">{step.duration}ms</span>
-                                      )}
-                                    </div>
-                                  </div>
-                                  
-                                  {step.reasoning && (
-                                    <div className="step-reasoning-box">
-                                      <span className="reasoning-icon">💭</span>
-                                      {step.reasoning}
-                                    </div>
-                                  )}
-
-                                  <div className="step-metrics">
-                                    {step.output && (
-                                      <div className="metric-card">
-                                        <div className="metric-label">Output</div>
-                                        <div className="metric-value">
-                                          {typeof step.output === 'object' ? (
-                                            Object.entries(step.output).map(([key, value]) => (
-                                              <div key={key} className="metric-item">
-                                                <strong>{key}:</strong> {typeof value === 'object' ? JSON.stringify(value) : String(value)}
-                                              </div>
-                                            ))
-                                          ) : (
-                                            String(step.output)
-                                          )}
-                                        </div>
-                                      </div>
-                                    )}
-                                    
-                                    {step.candidates && (
-                                      <div className="metric-card">
-                                        <div className="metric-label">
-                                          Candidates {step.candidates._summarized 
-                                            ? `(${step.candidates.total} total)`
-                                            : `(${step.candidates.length})`}
-                                        </div>
-                                        <div className="metric-value">
-                                          {step.candidates._summarized ? (
-                                            <div className="summary-info">
-                                              <div>Showing {step.candidates.sampleSize} of {step.candidates.total} items</div>
-                                              {step.candidates.sample && step.candidates.sample.length > 0 && (
-                                                <details className="candidates-details">
-                                                  <summary>View Sample ({step.candidates.sample.length} items)</summary>
-                                                  <div className="candidates-list">
-                                                    {step.candidates.sample.slice(0, 5).map((item, i) => (
-                                                      <div key={i} className="candidate-item">
-                                                        {typeof item === 'object' ? (
-                                                          <div className="candidate-object">
-                                                            {Object.entries(item).slice(0, 3).map(([k, v]) => (
-                                                              <span key={k} className="candidate-field">{k}: {String(v).substring(0, 30)}</span>
-                                                            ))}
-                                                          </div>
-                                                        ) : (
-                                                          String(item)
-                                                        )}
-                                                      </div>
-                                                    ))}
-                                                  </div>
-                                                </details>
-                                              )}
-                                            </div>
-                                          ) : (
-                                            <div className="candidates-list">
-                                              {step.candidates.slice(0, 5).map((item, i) => (
-                                                <div key={i} className="candidate-item">
-                                                  {typeof item === 'object' ? (
-                                                    <div className="candidate-object">
-                                                      {Object.entries(item).slice(0, 3).map(([k, v]) => (
-                                                        <span key={k} className="candidate-field">{k}: {String(v).substring(0, 30)}</span>
-                                                      ))}
-                                                    </div>
-                                                  ) : (
-                                                    String(item)
-                                                  )}
-                                                </div>
-                                              ))}
-                                              {step.candidates.length > 5 && (
-                                                <div className="more-items">+ {step.candidates.length - 5} more...</div>
-                                              )}
-                                            </div>
-                                          )}
-                                        </div>
-                                      </div>
-                                    )}
-
-                                    {step.filtered && (
-                                      <div className="metric-card filtered-card">
-                                        <div className="metric-label">
-                                          Filtered Out {step.filtered._summarized 
-                                            ? `(${step.filtered.total} total)`
-                                            : `(${step.filtered.length})`}
-                                        </div>
-                                        <div className="metric-value">
-                                          {step.filtered._summarized ? (
-                                            <div className="summary-info">
-                                              <div>Showing {step.filtered.sampleSize} of {step.filtered.total} filtered items</div>
-                                              {step.filtered.sample && step.filtered.sample.length > 0 && (
-                                                <details className="filtered-details">
-                                                  <summary>View Sample with Reasons</summary>
-                                                  <div className="filtered-list">
-                                                    {step.filtered.sample.slice(0, 5).map((item, i) => (
-                                                      <div key={i} className="filtered-item">
-                                                        {item.candidate && (
-                                                          <div className="filtered-candidate">
-                                                            {typeof item.candidate === 'object' ? (
-                                                              <div>
-                                                                {item.candidate.id || item.candidate.title || 'Item'}
-                                                              </div>
-                                                            ) : (
-                                                              String(item.candidate)
-                                                            )}
-                                                          </div>
-                                                        )}
-                                                        {item.reasons && (
-                                                          <div className="filter-reasons">
-                                                            {Array.isArray(item.reasons) ? (
-                                                              item.reasons.map((reason, rIdx) => (
-                                                                <span key={rIdx} className="reason-tag">{reason}</span>
-                                                              ))
-                                                            ) : (
-                                                              <span className="reason-tag">{item.reasons}</span>
-                                                            )}
-                                                          </div>
-                                                        )}
-                                                      </div>
-                                                    ))}
-                                                  </div>
-                                                </details>
-                                              )}
-                                            </div>
-                                          ) : (
-                                            <div className="filtered-list">
-                                              {step.filtered.slice(0, 5).map((item, i) => (
-                                                <div key={i} className="filtered-item">
-                                                  {item.candidate && (
-                                                    <div className="filtered-candidate">
-                                                      {typeof item.candidate === 'object' ? (
-                                                        <div>
-                                                          {item.candidate.id || item.candidate.title || 'Item'}
-                                                        </div>
-                                                      ) : (
-                                                        String(item.candidate)
-                                                      )}
-                                                    </div>
-                                                  )}
-                                                  {item.reasons && (
-                                                    <div className="filter-reasons">
-                                                      {Array.isArray(item.reasons) ? (
-                                                        item.reasons.map((reason, rIdx) => (
-                                                          <span key={rIdx} className="reason-tag">{reason}</span>
-                                                        ))
-                                                      ) : (
-                                                        <span className="reason-tag">{item.reasons}</span>
-                                                      )}
-                                                    </div>
-                                                  )}
-                                                </div>
-                                              ))}
-                                              {step.filtered.length > 5 && (
-                                                <div className="more-items">+ {step.filtered.length - 5} more...</div>
-                                              )}
-                                            </div>
-                                          )}
-                                        </div>
-                                      </div>
-                                    )}
-                                  </div>
-
-                                  {step.input && Object.keys(step.input).length > 0 && (
-                                    <details className="step-input-details">
-                                      <summary>View Input Data</summary>
-                                      <pre className="input-data">{JSON.stringify(step.input, null, 2)}</pre>
-                                    </details>
-                                  )}
-                                </div>
-                                {idx < selectedRun.steps.length - 1 && (
-                                  <div className="step-connector">↓</div>
-                                )}
-                              </div>
+                        <h3>Feedback</h3>
+                        <AnnotationPanel
+                          key={selectedRun.runId}
+                          runId={selectedRun.runId}
+                          steps={selectedRun.steps || []}
+                          annotations={selectedRun.annotations}
+                          onChange={() => loadRuns(labelFilter)}
+                        />
+                      </div>
+
+                      <div className="run-detail-section">
+                        <h3>Trace an Item</h3>
+                        <ItemTrace key={selectedRun.runId} runId={selectedRun.runId} />
+                      </div>
+
+                      <div className="run-detail-section">
+                        <h3>Compare With</h3>
+                        <select
+                          className="compare-select"
+                          value=""
+                          onChange={(e) => e.target.value && handleCompareRuns(selectedRun, e.target.value)}
+                        >
+                          <option value="">Choose another {selectedRun.pipeline} run...</option>
+                          {runs
+                            .filter(run => run.pipeline === selectedRun.pipeline && run.runId !== selectedRun.runId)
+                            .map(run => (
+                              <option key={run.runId} value={run.runId}>
+                                {new Date(run.startTime).toLocaleString()} · {run.status} · {run.runId}
+                              </option>
                             ))}
+                        </select>
+                      </div>
+
+                      {selectedRun.metadata && selectedRun.metadata.replayOf && (
+                        <div className="run-detail-section">
+                          <h3>Replay Of</h3>
+                          <div className="replay-link">
+                            <span>
+                              Step <code>{selectedRun.metadata.replayOf.stepName}</code> of run {selectedRun.metadata.replayOf.runId}
+                            </span>
+                            <button onClick={() => showComparison(selectedRun.metadata.replayOf.runId, selectedRun.runId)}>
+                              Compare
+                            </button>
                           </div>
+                        </div>
+                      )}
+
+                      {selectedRun.replays && selectedRun.replays.length > 0 && (
+                        <div className="run-detail-section">
+                          <h3>Replays ({selectedRun.replays.length})</h3>
+                          {selectedRun.replays.map(replay => (
+                            <div key={replay.runId} className="replay-link">
+                              <span>
+                                <code>{replay.stepName}</code> · {new Date(replay.startTime).toLocaleString()} · <span className={`status status-${replay.status}`}>{replay.status}</span>
+                              </span>
+                              <button onClick={() => showComparison(selectedRun.runId, replay.runId)}>
+                                Compare
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+
+                      <div className="run-detail-section">
+                        <h3>Pipeline Steps ({selectedRun.steps ? selectedRun.steps.length : 0})</h3>
+                        {selectedRun.steps && selectedRun.steps.length > 0 ? (
+                          <StepTree
+                            steps={selectedRun.stepTree || selectedRun.steps}
+                            replayable={getXRay().getReplayableSteps()}
+                            onReplay={handleReplayStep}
+                          />
                         ) : (
                           <p>No steps recorded for this run.</p>
                         )}
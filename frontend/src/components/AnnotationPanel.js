@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+
+export const ANNOTATION_LABELS = ['correct', 'incorrect', 'needs-review'];
+
+const API_URL = 'http://localhost:3001/api';
+
+/**
+ * Reviewer feedback for a run: existing annotations and a form to label the
+ * run or one of its steps.
+ */
+function AnnotationPanel({ runId, steps, annotations: initialAnnotations = [], onChange }) {
+  const [annotations, setAnnotations] = useState(initialAnnotations);
+  const [stepId, setStepId] = useState('');
+  const [label, setLabel] = useState(ANNOTATION_LABELS[0]);
+  const [note, setNote] = useState('');
+  const [author, setAuthor] = useState(() => localStorage.getItem('xray:annotationAuthor') || '');
+  const [error, setError] = useState(null);
+
+  const stepName = id => {
+    const step = steps.find(s => s.stepId === id);
+    return step ? step.name : id;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const url = stepId
+      ? `${API_URL}/runs/${runId}/steps/${stepId}/annotations`
+      : `${API_URL}/runs/${runId}/annotations`;
+
+    try {
+      setError(null);
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ label, note, author }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      localStorage.setItem('xray:annotationAuthor', author);
+      setAnnotations([...annotations, data]);
+      setNote('');
+      if (onChange) onChange();
+    } catch (err) {
+      setError(`Could not save annotation: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (annotationId) => {
+    try {
+      setError(null);
+      const response = await fetch(`${API_URL}/runs/${runId}/annotations/${annotationId}`, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      setAnnotations(annotations.filter(annotation => annotation.annotationId !== annotationId));
+      if (onChange) onChange();
+    } catch (err) {
+      setError(`Could not delete annotation: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="annotations">
+      {annotations.length > 0 && (
+        <div className="annotation-list">
+          {annotations.map(annotation => (
+            <div key={annotation.annotationId} className="annotation">
+              <div className="annotation-header">
+                <span className={`label-badge label-${annotation.label}`}>{annotation.label}</span>
+                <span className="annotation-target">
+                  {annotation.stepId ? <>step <code>{stepName(annotation.stepId)}</code></> : 'run'}
+                </span>
+                <span className="annotation-meta">
+                  {annotation.author} · {new Date(annotation.createdAt).toLocaleString()}
+                </span>
+                <button className="annotation-delete" onClick={() => handleDelete(annotation.annotationId)}>
+                  Delete
+                </button>
+              </div>
+              {annotation.note && <div className="annotation-note">{annotation.note}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form className="annotation-form" onSubmit={handleSubmit}>
+        <div className="annotation-form-row">
+          <select value={stepId} onChange={(e) => setStepId(e.target.value)}>
+            <option value="">Whole run</option>
+            {steps.map(step => (
+              <option key={step.stepId} value={step.stepId}>Step: {step.name}</option>
+            ))}
+          </select>
+          <select value={label} onChange={(e) => setLabel(e.target.value)}>
+            {ANNOTATION_LABELS.map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Your name"
+            value={author}
+            onChange={(e) => setAuthor(e.target.value)}
+            required
+          />
+        </div>
+        <textarea
+          placeholder="Note, e.g. phone charger matched to a laptop stand"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          rows={2}
+        />
+        <button type="submit" disabled={!author.trim()}>Add Annotation</button>
+      </form>
+
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
+
+export default AnnotationPanel;
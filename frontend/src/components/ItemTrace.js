@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+
+const STATUS_LABELS = {
+  candidate: 'Candidate',
+  filtered: 'Filtered',
+  selected: 'Selected',
+  not_recorded: 'Not in sample',
+  absent: 'Absent',
+};
+
+/**
+ * "Trace this item" search box for the run detail dialog.
+ * Shows where an item appeared, was filtered or was selected in a run.
+ */
+function ItemTrace({ runId }) {
+  const [item, setItem] = useState('');
+  const [key, setKey] = useState('');
+  const [trace, setTrace] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleTrace = async (e) => {
+    e.preventDefault();
+    if (!item.trim()) return;
+
+    try {
+      setError(null);
+      const params = new URLSearchParams({ item: item.trim() });
+      if (key.trim()) params.set('key', key.trim());
+
+      const response = await fetch(`http://localhost:3001/api/runs/${runId}/trace?${params}`);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      setTrace(await response.json());
+    } catch (err) {
+      setError(`Trace failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="item-trace">
+      <form className="item-trace-form" onSubmit={handleTrace}>
+        <input
+          type="text"
+          placeholder="Item ID, e.g. prod_1234"
+          value={item}
+          onChange={(e) => setItem(e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Key (default: id)"
+          value={key}
+          onChange={(e) => setKey(e.target.value)}
+          className="item-trace-key"
+        />
+        <button type="submit">Trace Item</button>
+      </form>
+
+      {error && <div className="error">{error}</div>}
+
+      {trace && (
+        <div className="item-trace-result">
+          <div className="item-trace-outcome">
+            <strong>{trace.item}</strong> ({trace.key}): <span className={`trace-outcome trace-${trace.outcome}`}>{trace.outcome.replace(/_/g, ' ')}</span>
+            {trace.lastSeenStep && <> · last seen in <strong>{trace.lastSeenStep}</strong></>}
+          </div>
+          <ol className="item-trace-path">
+            {trace.path.map(entry => (
+              <li
+                key={entry.stepId}
+                className={`trace-entry trace-${entry.status}`}
+                style={{ marginLeft: entry.depth * 16 }}
+              >
+                <span className="trace-step-name">{entry.name}</span>
+                <span className={`trace-status trace-${entry.status}`}>{STATUS_LABELS[entry.status]}</span>
+                {entry.position && <span className="trace-detail">#{entry.position}</span>}
+                {entry.scores && Object.entries(entry.scores).map(([field, value]) => (
+                  <span key={field} className="trace-detail">{field}: {value.toFixed(3)}</span>
+                ))}
+                {entry.reasons && entry.reasons.map(reason => (
+                  <span key={reason} className="reason-tag">{reason}</span>
+                ))}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ItemTrace;
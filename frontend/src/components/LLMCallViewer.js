@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+
+export const formatCost = (cost) => {
+  if (cost === null || cost === undefined) return '—';
+  return cost < 0.01 ? `$${cost.toFixed(5)}` : `$${cost.toFixed(2)}`;
+};
+
+const formatResponse = (response) => (typeof response === 'string' ? response : JSON.stringify(response, null, 2));
+
+function LLMCall({ call }) {
+  const [tab, setTab] = useState('messages');
+  const { usage = {} } = call;
+  const tabs = [
+    ['messages', 'Messages'],
+    ['response', 'Response'],
+    call.template && ['template', 'Template'],
+    ['parameters', 'Parameters'],
+  ].filter(Boolean);
+
+  return (
+    <div className={`llm-call${call.error ? ' llm-call-failed' : ''}`}>
+      <div className="llm-call-header">
+        <code>{call.model || 'unknown model'}</code>
+        {usage.totalTokens !== null && usage.totalTokens !== undefined && (
+          <span>{usage.promptTokens} in · {usage.completionTokens} out tokens</span>
+        )}
+        {call.latencyMs !== null && <span>{call.latencyMs}ms</span>}
+        <span>{formatCost(call.cost)}</span>
+        {call.error && <span className="status status-error">{call.error}</span>}
+      </div>
+
+      <div className="llm-call-tabs">
+        {tabs.map(([id, label]) => (
+          <button
+            key={id}
+            className={tab === id ? 'active' : ''}
+            onClick={() => setTab(id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'messages' && (
+        <div className="llm-messages">
+          {(call.messages || []).map((message, i) => (
+            <div key={i} className={`llm-message llm-message-${message.role}`}>
+              <div className="llm-message-role">{message.role}</div>
+              <pre>{typeof message.content === 'string' ? message.content : JSON.stringify(message.content, null, 2)}</pre>
+            </div>
+          ))}
+        </div>
+      )}
+      {tab === 'response' && (
+        <pre className="input-data">{call.response === undefined ? '—' : formatResponse(call.response)}</pre>
+      )}
+      {tab === 'template' && (
+        <>
+          <pre className="input-data">{formatResponse(call.template)}</pre>
+          <div className="llm-call-label">Variables</div>
+          <pre className="input-data">{JSON.stringify(call.variables || {}, null, 2)}</pre>
+        </>
+      )}
+      {tab === 'parameters' && (
+        <pre className="input-data">{JSON.stringify(call.parameters || {}, null, 2)}</pre>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Prompt/response viewer for the LLM calls a step recorded.
+ */
+function LLMCallViewer({ calls }) {
+  return (
+    <div className="llm-calls">
+      {calls.map((call, i) => (
+        <LLMCall key={i} call={call} />
+      ))}
+    </div>
+  );
+}
+
+export default LLMCallViewer;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { formatCost } from './LLMCallViewer';
+
+const formatTokens = (tokens) => (tokens === null || tokens === undefined ? '—' : tokens.toLocaleString());
+
+/**
+ * LLM cost and token usage by pipeline and step, from /api/llm/costs.
+ */
+function LLMCosts({ costs }) {
+  const { groups, totals } = costs;
+
+  if (!totals) return <p>No LLM calls recorded yet.</p>;
+
+  return (
+    <div className="llm-costs">
+      <div className="query-summary">
+        <strong>{formatCost(totals.cost)}</strong> across {totals.calls} calls · {formatTokens(totals.totalTokens)} tokens
+        {totals.pricedCalls < totals.calls && ` · ${totals.calls - totals.pricedCalls} calls have no price configured`}
+      </div>
+
+      <table className="llm-costs-table">
+        <thead>
+          <tr>
+            <th>Pipeline</th>
+            <th>Step</th>
+            <th>Calls</th>
+            <th>Prompt tokens</th>
+            <th>Completion tokens</th>
+            <th>Avg latency</th>
+            <th>Cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {groups.map(group => (
+            <tr key={`${group.pipeline}:${group.stepName}`}>
+              <td>{group.pipeline}</td>
+              <td><code>{group.stepName}</code></td>
+              <td>{group.calls}</td>
+              <td>{formatTokens(group.promptTokens)}</td>
+              <td>{formatTokens(group.completionTokens)}</td>
+              <td>{group.avgLatencyMs === null ? '—' : `${Math.round(group.avgLatencyMs)}ms`}</td>
+              <td>{formatCost(group.cost)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default LLMCosts;
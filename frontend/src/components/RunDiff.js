@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+
+const formatValue = (value) => {
+  if (value === undefined) return '—';
+  const text = JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+const formatMetric = (value) => {
+  if (value === null || value === undefined) return '—';
+  return Number.isInteger(value) ? value : value.toFixed(1);
+};
+
+function ChangeList({ label, changes }) {
+  if (!changes || changes.length === 0) return null;
+
+  return (
+    <div className="diff-changes">
+      <div className="diff-changes-label">{label}</div>
+      {changes.map(change => (
+        <div key={change.path} className={`diff-change diff-${change.change}`}>
+          <code>{change.path}</code>
+          <span className="diff-before">{formatValue(change.before)}</span>
+          <span className="diff-arrow">→</span>
+          <span className="diff-after">{formatValue(change.after)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function MetricChanges({ metrics }) {
+  const changed = Object.entries(metrics).filter(([, { before, after }]) => before !== after);
+  if (changed.length === 0) return null;
+
+  return (
+    <div className="diff-changes">
+      <div className="diff-changes-label">Counts</div>
+      {changed.map(([metric, { before, after, delta }]) => (
+        <div key={metric} className="diff-change diff-changed">
+          <code>{metric}</code>
+          <span className="diff-before">{formatMetric(before)}</span>
+          <span className="diff-arrow">→</span>
+          <span className="diff-after">{formatMetric(after)}</span>
+          {delta !== null && (
+            <span className="diff-delta">
+              {delta > 0 ? '+' : ''}{formatMetric(delta)}
+            </span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function CandidateChanges({ candidates }) {
+  if (candidates.enteredCount === 0 && candidates.leftCount === 0) return null;
+
+  return (
+    <div className="diff-changes">
+      <div className="diff-changes-label">
+        Candidates{!candidates.complete && ' (from recorded samples)'}
+      </div>
+      <div className="diff-candidates">
+        <div className="diff-candidates-left">
+          {candidates.leftCount} left: {candidates.left.join(', ')}
+          {candidates.leftCount > candidates.left.length && ', ...'}
+        </div>
+        <div className="diff-candidates-entered">
+          {candidates.enteredCount} entered: {candidates.entered.join(', ')}
+          {candidates.enteredCount > candidates.entered.length && ', ...'}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function StepCell({ name, stepRef }) {
+  if (!stepRef) return <div className="diff-cell diff-cell-empty">—</div>;
+
+  return (
+    <div className="diff-cell" style={{ paddingLeft: 10 + stepRef.depth * 16 }}>
+      <span className="diff-step-name">{name}</span>
+      {stepRef.type && <span className="diff-step-type">{stepRef.type}</span>}
+      {stepRef.status === 'error' && <span className="status status-error">error</span>}
+    </div>
+  );
+}
+
+function DiffRow({ step }) {
+  const [expanded, setExpanded] = useState(step.status === 'changed');
+  const { changes } = step;
+
+  return (
+    <div className={`diff-row diff-row-${step.status}`}>
+      <div className="diff-row-cells" onClick={() => changes && setExpanded(!expanded)}>
+        <StepCell name={step.name} stepRef={step.base} />
+        <span className={`diff-row-status diff-${step.status}`}>{step.status}</span>
+        <StepCell name={step.name} stepRef={step.compare} />
+      </div>
+
+      {expanded && changes && (
+        <div className="diff-row-details">
+          {changes.reasoning && (
+            <div className="diff-changes">
+              <div className="diff-changes-label">Reasoning</div>
+              <div className="diff-side-by-side">
+                <div className="diff-before">{changes.reasoning.before || '—'}</div>
+                <div className="diff-after">{changes.reasoning.after || '—'}</div>
+              </div>
+            </div>
+          )}
+          <MetricChanges metrics={changes.metrics} />
+          <CandidateChanges candidates={changes.candidates} />
+          <ChangeList label="Input" changes={changes.input} />
+          <ChangeList label="Output" changes={changes.output} />
+          <ChangeList label="Metadata" changes={changes.metadata} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Side-by-side comparison of two runs from /api/runs/:runId/diff/:otherRunId.
+ * Steps are aligned by name and order; changed steps start expanded.
+ */
+function RunDiff({ diff, onViewRun }) {
+  const { base, compare, summary } = diff;
+
+  return (
+    <div className="run-diff">
+      <div className="diff-row-cells diff-heading">
+        <div className="diff-cell">
+          <button className="search-hit-link" onClick={() => onViewRun(base.runId)}>{base.runId}</button>
+          <div className="diff-run-meta">
+            {new Date(base.startTime).toLocaleString()} · <span className={`status status-${base.status}`}>{base.status}</span>
+          </div>
+        </div>
+        <span className="diff-row-status">vs</span>
+        <div className="diff-cell">
+          <button className="search-hit-link" onClick={() => onViewRun(compare.runId)}>{compare.runId}</button>
+          <div className="diff-run-meta">
+            {new Date(compare.startTime).toLocaleString()} · <span className={`status status-${compare.status}`}>{compare.status}</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="query-summary">
+        {summary.changed} changed · {summary.unchanged} unchanged · {summary.added} added · {summary.removed} removed
+      </div>
+
+      <ChangeList label="Run input" changes={diff.input} />
+      <ChangeList label="Run output" changes={diff.output} />
+      <ChangeList label="Run metadata" changes={diff.metadata} />
+
+      <div className="diff-steps">
+        {diff.steps.map((step, index) => (
+          <DiffRow key={`${base.runId}:${compare.runId}:${index}`} step={step} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default RunDiff;
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+
+// Split a snippet into plain and <mark>ed parts from [start, end] offsets
+function HighlightedSnippet({ snippet, highlights }) {
+  const parts = [];
+  let cursor = 0;
+
+  highlights.forEach(([start, end]) => {
+    if (start > cursor) parts.push(snippet.slice(cursor, start));
+    parts.push(<mark key={start}>{snippet.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(snippet.slice(cursor));
+
+  return <span className="search-snippet">{parts}</span>;
+}
+
+/**
+ * Full-text search over step reasoning (and LLM outputs, when the server
+ * indexes them). Each hit links to its run.
+ */
+function StepSearch({ onViewRun }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    try {
+      setError(null);
+      const params = new URLSearchParams({ q: query.trim() });
+      const response = await fetch(`http://localhost:3001/api/search?${params}`);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      setResults(await response.json());
+    } catch (err) {
+      setError(`Search failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="step-search">
+      <form className="step-search-form" onSubmit={handleSearch}>
+        <input
+          type="search"
+          placeholder='Search reasoning, e.g. "ambiguous laptop"'
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <button type="submit">Search</button>
+        {results && <button type="button" onClick={() => setResults(null)}>Clear</button>}
+      </form>
+
+      {error && <div className="error">{error}</div>}
+
+      {results && (
+        <div className="step-search-results">
+          <div className="step-search-count">
+            {results.total} matching step{results.total === 1 ? '' : 's'}
+            {results.total > results.hits.length && ` (showing ${results.hits.length})`}
+          </div>
+          {results.hits.map(hit => (
+            <div key={hit.stepId} className="search-hit">
+              <div className="search-hit-header">
+                <span className="search-hit-step">{hit.stepName}</span>
+                <span className="match-pipeline">{hit.pipeline}</span>
+                <span className="search-hit-field">{hit.field}</span>
+              </div>
+              <HighlightedSnippet snippet={hit.snippet} highlights={hit.highlights} />
+              <button className="search-hit-link" onClick={() => onViewRun(hit.runId)}>
+                {hit.runId}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StepSearch;
@@ -0,0 +1,312 @@
+import React from 'react';
+import SummaryHistograms from './SummaryHistograms';
+import WhatIfPanel from './WhatIfPanel';
+import LLMCallViewer from './LLMCallViewer';
+
+/**
+ * Renders a run's steps as a collapsible tree.
+ * Accepts either the nested `stepTree` from the API or a flat step list.
+ */
+function StepTree({ steps, prefix = '', replayable = [], onReplay }) {
+  return (
+    <div className="steps-timeline">
+      {steps.map((step, idx) => (
+        <StepNode
+          key={step.stepId || idx}
+          step={step}
+          number={`${prefix}${idx + 1}`}
+          isLast={idx === steps.length - 1}
+          replayable={replayable}
+          onReplay={onReplay}
+        />
+      ))}
+    </div>
+  );
+}
+
+const describeSampling = (sampling) => {
+  if (!sampling || !sampling.strategy || sampling.strategy === 'head') return '';
+  if (sampling.strategy === 'reservoir') return ' (uniform random sample)';
+  if (sampling.strategy === 'stratified') return ` (stratified by ${sampling.field})`;
+  if (sampling.strategy === 'extremes') return ` (top and bottom by ${sampling.field})`;
+  return ` (${sampling.strategy})`;
+};
+
+// Position of a sample item in the original, unsummarized array
+function OriginalIndex({ summarized, i }) {
+  if (!summarized.sampleIndices) return null;
+  return <span className="original-index">#{summarized.sampleIndices[i] + 1}</span>;
+}
+
+// Share of filtered items per reason, computed by the SDK before summarization
+function ReasonBreakdown({ breakdown }) {
+  const reasons = Object.entries(breakdown.counts).sort((a, b) => b[1] - a[1]);
+
+  return (
+    <div className="reason-breakdown">
+      {reasons.map(([reason, count]) => (
+        <div key={reason} className="reason-breakdown-row">
+          <span className="reason-tag">{reason}</span>
+          <div className="reason-bar">
+            <div
+              className="reason-bar-fill"
+              style={{ width: `${(count / breakdown.total) * 100}%` }}
+            />
+          </div>
+          <span className="reason-count">{count}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function StepNode({ step, number, isLast, replayable, onReplay }) {
+  const children = step.children || [];
+
+  return (
+    <div className="step-timeline-item">
+      <div className={`step-number${number.includes('.') ? ' nested' : ''}`}>{number}</div>
+      <div className={`step-content${step.status === 'error' ? ' step-failed' : ''}`}>
+        <div className="step-title-row">
+          <h4 className="step-title">{step.name.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}</h4>
+          <div className="step-badges">
+            <span className={`step-type-badge step-type-${step.type}`}>{step.type}</span>
+            {step.status === 'error' && (
+              <span className="status status-error">failed</span>
+            )}
+            {step.duration && (
+              <span className="step-duration-badge">{step.duration}ms</span>
+            )}
+            {onReplay && replayable.includes(step.name) && (
+              <button className="step-replay-btn" onClick={() => onReplay(step)}>Replay</button>
+            )}
+          </div>
+        </div>
+
+        {step.error && (
+          <div className="step-error-box">
+            <strong>Error:</strong> {step.error.message}
+            {step.error.stack && (
+              <details>
+                <summary>Stack trace</summary>
+                <pre className="input-data">{step.error.stack}</pre>
+              </details>
+            )}
+          </div>
+        )}
+
+        {step.reasoning && (
+          <div className="step-reasoning-box">
+            <span className="reasoning-icon">💭</span>
+            {step.reasoning}
+          </div>
+        )}
+
+        {step.llmCalls && step.llmCalls.length > 0 && (
+          <details className="step-llm-calls">
+            <summary>Prompts and responses ({step.llmCalls.length} LLM call{step.llmCalls.length === 1 ? '' : 's'})</summary>
+            <LLMCallViewer calls={step.llmCalls} />
+          </details>
+        )}
+
+        {step.rules && step.rules.length > 0 && (
+          <details className="step-what-if">
+            <summary>What if? ({step.rules.length} rule{step.rules.length === 1 ? '' : 's'})</summary>
+            <WhatIfPanel runId={step.runId} stepId={step.stepId} />
+          </details>
+        )}
+
+        <div className="step-metrics">
+          {step.output && (
+            <div className="metric-card">
+              <div className="metric-label">Output</div>
+              <div className="metric-value">
+                {typeof step.output === 'object' ? (
+                  Object.entries(step.output).map(([key, value]) => (
+                    <div key={key} className="metric-item">
+                      <strong>{key}:</strong> {typeof value === 'object' ? JSON.stringify(value) : String(value)}
+                    </div>
+                  ))
+                ) : (
+                  String(step.output)
+                )}
+              </div>
+            </div>
+          )}
+
+          {step.candidates && (
+            <div className="metric-card">
+              <div className="metric-label">
+                Candidates {step.candidates._summarized 
+                  ? `(${step.candidates.total} total)`
+                  : `(${step.candidates.length})`}
+              </div>
+              <div className="metric-value">
+                {step.candidates._summarized ? (
+                  <div className="summary-info">
+                    {step.candidates._compacted ? (
+                      <div>Items removed by the retention policy; only the count was kept</div>
+                    ) : (
+                      <div>Showing {step.candidates.sampleSize} of {step.candidates.total} items{describeSampling(step.candidates.sampling)}</div>
+                    )}
+                    <SummaryHistograms summary={step.candidates.summary} />
+                    {step.candidates.sample && step.candidates.sample.length > 0 && (
+                      <details className="candidates-details">
+                        <summary>View Sample ({step.candidates.sample.length} items)</summary>
+                        <div className="candidates-list">
+                          {step.candidates.sample.slice(0, 5).map((item, i) => (
+                            <div key={i} className="candidate-item">
+                              <OriginalIndex summarized={step.candidates} i={i} />
+                              {typeof item === 'object' ? (
+                                <div className="candidate-object">
+                                  {Object.entries(item).slice(0, 3).map(([k, v]) => (
+                                    <span key={k} className="candidate-field">{k}: {String(v).substring(0, 30)}</span>
+                                  ))}
+                                </div>
+                              ) : (
+                                String(item)
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      </details>
+                    )}
+                  </div>
+                ) : (
+                  <div className="candidates-list">
+                    {step.candidates.slice(0, 5).map((item, i) => (
+                      <div key={i} className="candidate-item">
+                        {typeof item === 'object' ? (
+                          <div className="candidate-object">
+                            {Object.entries(item).slice(0, 3).map(([k, v]) => (
+                              <span key={k} className="candidate-field">{k}: {String(v).substring(0, 30)}</span>
+                            ))}
+                          </div>
+                        ) : (
+                          String(item)
+                        )}
+                      </div>
+                    ))}
+                    {step.candidates.length > 5 && (
+                      <div className="more-items">+ {step.candidates.length - 5} more...</div>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {step.filtered && (
+            <div className="metric-card filtered-card">
+              <div className="metric-label">
+                Filtered Out {step.filtered._summarized 
+                  ? `(${step.filtered.total} total)`
+                  : `(${step.filtered.length})`}
+              </div>
+              <div className="metric-value">
+                {step.filterReasons && (
+                  <ReasonBreakdown breakdown={step.filterReasons} />
+                )}
+                {step.filtered._summarized ? (
+                  <div className="summary-info">
+                    {step.filtered._compacted ? (
+                      <div>Items removed by the retention policy; only the count and reasons were kept</div>
+                    ) : (
+                      <div>Showing {step.filtered.sampleSize} of {step.filtered.total} filtered items{describeSampling(step.filtered.sampling)}</div>
+                    )}
+                    <SummaryHistograms summary={step.filtered.summary} />
+                    {step.filtered.sample && step.filtered.sample.length > 0 && (
+                      <details className="filtered-details">
+                        <summary>View Sample with Reasons</summary>
+                        <div className="filtered-list">
+                          {step.filtered.sample.slice(0, 5).map((item, i) => (
+                            <div key={i} className="filtered-item">
+                              <OriginalIndex summarized={step.filtered} i={i} />
+                              {item.candidate && (
+                                <div className="filtered-candidate">
+                                  {typeof item.candidate === 'object' ? (
+                                    <div>
+                                      {item.candidate.id || item.candidate.title || 'Item'}
+                                    </div>
+                                  ) : (
+                                    String(item.candidate)
+                                  )}
+                                </div>
+                              )}
+                              {item.reasons && (
+                                <div className="filter-reasons">
+                                  {Array.isArray(item.reasons) ? (
+                                    item.reasons.map((reason, rIdx) => (
+                                      <span key={rIdx} className="reason-tag">{reason}</span>
+                                    ))
+                                  ) : (
+                                    <span className="reason-tag">{item.reasons}</span>
+                                  )}
+                                </div>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      </details>
+                    )}
+                  </div>
+                ) : (
+                  <div className="filtered-list">
+                    {step.filtered.slice(0, 5).map((item, i) => (
+                      <div key={i} className="filtered-item">
+                        {item.candidate && (
+                          <div className="filtered-candidate">
+                            {typeof item.candidate === 'object' ? (
+                              <div>
+                                {item.candidate.id || item.candidate.title || 'Item'}
+                              </div>
+                            ) : (
+                              String(item.candidate)
+                            )}
+                          </div>
+                        )}
+                        {item.reasons && (
+                          <div className="filter-reasons">
+                            {Array.isArray(item.reasons) ? (
+                              item.reasons.map((reason, rIdx) => (
+                                <span key={rIdx} className="reason-tag">{reason}</span>
+                              ))
+                            ) : (
+                              <span className="reason-tag">{item.reasons}</span>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                    {step.filtered.length > 5 && (
+                      <div className="more-items">+ {step.filtered.length - 5} more...</div>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {step.input && Object.keys(step.input).length > 0 && (
+          <details className="step-input-details">
+            <summary>View Input Data</summary>
+            <pre className="input-data">{JSON.stringify(step.input, null, 2)}</pre>
+          </details>
+        )}
+
+        {children.length > 0 && (
+          <details className="step-children" open>
+            <summary>Sub-steps ({children.length})</summary>
+            <StepTree steps={children} prefix={`${number}.`} replayable={replayable} onReplay={onReplay} />
+          </details>
+        )}
+      </div>
+      {!isLast && (
+        <div className="step-connector">↓</div>
+      )}
+    </div>
+  );
+}
+
+export default StepTree;
@@ -0,0 +1,69 @@
+import React from 'react';
+
+const formatNumber = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(2));
+
+function NumericField({ field, stats }) {
+  const peak = Math.max(1, ...stats.histogram);
+
+  return (
+    <div className="field-summary">
+      <div className="field-summary-name">{field}</div>
+      <div className="mini-histogram" title={`${formatNumber(stats.min)} – ${formatNumber(stats.max)}`}>
+        {stats.histogram.map((count, i) => (
+          <div key={i} className="mini-histogram-bar" style={{ height: `${(count / peak) * 100}%` }} />
+        ))}
+      </div>
+      <div className="field-summary-stats">
+        {formatNumber(stats.min)} – {formatNumber(stats.max)} · p50 {formatNumber(stats.p50)} · p90 {formatNumber(stats.p90)} · p99 {formatNumber(stats.p99)}
+        {stats.nullCount > 0 && ` · ${stats.nullCount} null`}
+      </div>
+    </div>
+  );
+}
+
+function CategoricalField({ field, stats }) {
+  const total = stats.count + stats.nullCount;
+
+  return (
+    <div className="field-summary">
+      <div className="field-summary-name">{field} <span className="field-summary-stats">({stats.distinct} distinct)</span></div>
+      {stats.top.map(({ value, count }) => (
+        <div key={value} className="category-bar-row">
+          <span className="category-bar-label">{value}</span>
+          <div className="reason-bar">
+            <div className="category-bar-fill" style={{ width: `${(count / total) * 100}%` }} />
+          </div>
+          <span className="reason-count">{count}</span>
+        </div>
+      ))}
+      {stats.nullCount > 0 && (
+        <div className="field-summary-stats">{stats.nullCount} null</div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Small histograms for the per-field summary the SDK computes over a
+ * summarized array. Identifier-like fields (every value distinct) are skipped.
+ */
+function SummaryHistograms({ summary }) {
+  if (!summary) return null;
+
+  const fields = Object.entries(summary).filter(([, stats]) =>
+    stats.type === 'number' || (stats.type === 'categorical' && stats.distinct < stats.count)
+  );
+  if (fields.length === 0) return null;
+
+  return (
+    <div className="summary-histograms">
+      {fields.map(([field, stats]) => (
+        stats.type === 'number'
+          ? <NumericField key={field} field={field} stats={stats} />
+          : <CategoricalField key={field} field={field} stats={stats} />
+      ))}
+    </div>
+  );
+}
+
+export default SummaryHistograms;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+
+const SELECTION_LABELS = {
+  unchanged: 'Final selection unchanged',
+  may_change: 'Final selection may change: new items would pass',
+  eliminated: 'Final selection would be filtered out',
+};
+
+const formatValue = (value) => (typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : String(value));
+
+/**
+ * Threshold sliders for a filter step that declared its rules.
+ * Each change re-evaluates the recorded items on the server.
+ */
+function WhatIfPanel({ runId, stepId }) {
+  const [values, setValues] = useState({});
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const simulate = async () => {
+      try {
+        const response = await fetch(`http://localhost:3001/api/runs/${runId}/steps/${stepId}/what-if`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ values }),
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!cancelled) {
+          setResult(data);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(`Simulation failed: ${err.message}`);
+      }
+    };
+
+    simulate();
+    return () => {
+      cancelled = true;
+    };
+  }, [runId, stepId, values]);
+
+  if (error) return <div className="error">{error}</div>;
+  if (!result) return <div className="what-if">Loading...</div>;
+
+  const { baseline, simulated } = result;
+
+  return (
+    <div className="what-if">
+      {result.rules.map(rule => (
+        <div key={rule.index} className="what-if-rule">
+          <code>{rule.field} {rule.op}</code>
+          {rule.range ? (
+            <>
+              <input
+                type="range"
+                min={rule.range.min}
+                max={rule.range.max}
+                step={(rule.range.max - rule.range.min) / 100 || 1}
+                value={rule.simulatedValue}
+                onChange={(e) => setValues({ ...values, [rule.index]: Number(e.target.value) })}
+              />
+              <span className="what-if-value">
+                {formatValue(rule.simulatedValue)}
+                {rule.simulatedValue !== rule.value && <span className="what-if-original"> (was {formatValue(rule.value)})</span>}
+              </span>
+            </>
+          ) : (
+            <span className="what-if-value">{formatValue(rule.value)}</span>
+          )}
+        </div>
+      ))}
+
+      <div className="what-if-result">
+        <span className="number-badge in">{simulated.passed} pass</span>
+        <span className="number-badge filtered">{simulated.filtered} filtered</span>
+        <span className="what-if-baseline">recorded: {baseline.passed} / {baseline.filtered}</span>
+      </div>
+
+      {simulated.newlyPassing.length > 0 && (
+        <div className="what-if-items">Would now pass: {simulated.newlyPassing.join(', ')}</div>
+      )}
+      {simulated.newlyFiltered.length > 0 && (
+        <div className="what-if-items">Would now be filtered: {simulated.newlyFiltered.join(', ')}</div>
+      )}
+      {simulated.selection && (
+        <div className={`what-if-selection what-if-${simulated.selection.outcome}`}>
+          {SELECTION_LABELS[simulated.selection.outcome]} ({simulated.selection.itemId})
+        </div>
+      )}
+      {!result.complete && (
+        <div className="what-if-note">Only the recorded sample of items was re-evaluated.</div>
+      )}
+    </div>
+  );
+}
+
+export default WhatIfPanel;
@@ -1,12 +1,18 @@
 import { getXRay } from '../xray-sdk/index';
+import { completion } from './completion';
 
 class CompetitorSelectionDemo {
   constructor() {
     this.xray = getXRay();
   }
 
+  // Steps that can be re-executed from their recorded input
+  static registerReplayableSteps(xray) {
+    xray.registerStep('relevance-evaluation', (input, ctx) => new CompetitorSelectionDemo().scoreRelevance(input, ctx));
+  }
+
   async findCompetitor(sellerProduct) {
-    this.xray.startRun({
+    const run = this.xray.startRun({
       pipeline: 'competitor-selection',
       input: sellerProduct,
       metadata: {
@@ -16,24 +22,24 @@ class CompetitorSelectionDemo {
     });
 
     try {
-      const keywords = await this.generateKeywords(sellerProduct);
+      const keywords = await this.generateKeywords(sellerProduct, run);
 
-      const candidates = await this.searchCandidates(keywords);
+      const candidates = await this.searchCandidates(keywords, run);
 
-      const filtered = await this.applyFilters(candidates, sellerProduct);
+      const filtered = await this.applyFilters(candidates, sellerProduct, run);
 
-      const evaluated = await this.evaluateRelevance(filtered, sellerProduct);
+      const evaluated = await this.evaluateRelevance(filtered, sellerProduct, run);
 
-      const bestMatch = await this.rankAndSelect(evaluated, sellerProduct);
+      const bestMatch = await this.rankAndSelect(evaluated, sellerProduct, run);
 
-      this.xray.endRun({
+      run.endRun({
         status: 'success',
         output: bestMatch,
       });
 
       return bestMatch;
     } catch (error) {
-      this.xray.endRun({
+      run.endRun({
         status: 'error',
         error: error.message,
       });
@@ -41,178 +47,252 @@ class CompetitorSelectionDemo {
     }
   }
 
-  async generateKeywords(product) {
-    const startTime = Date.now();
-
-    await this.delay(200);
-
-    const keywords = [
-      `${product.title} ${product.category}`,
-      product.brand,
-      ...product.attributes.slice(0, 3),
-    ];
-
-    const output = { keywords, count: keywords.length };
-
-    this.xray.recordStep({
+  async generateKeywords(product, run) {
+    return run.step({
       name: 'keyword-generation',
       type: 'llm',
       input: { product: { id: product.id, title: product.title, category: product.category } },
-      output,
-      reasoning: `Generated ${keywords.length} keywords from product title, category, brand, and attributes`,
-      duration: Date.now() - startTime,
-    });
-
-    return keywords;
-  }
+    }, async (ctx) => {
+      const generated = [
+        `${product.title} ${product.category}`,
+        product.brand,
+        ...product.attributes.slice(0, 3),
+      ];
+
+      const response = await ctx.llm({
+        model: 'gpt-4o-mini',
+        parameters: { temperature: 0.2, maxTokens: 200 },
+        template: [
+          { role: 'system', content: 'You write marketplace search keywords. Answer with a JSON array of strings.' },
+          { role: 'user', content: 'Title: {{title}}\nCategory: {{category}}\nBrand: {{brand}}\nAttributes: {{attributes}}' },
+        ],
+        variables: {
+          title: product.title,
+          category: product.category,
+          brand: product.brand,
+          attributes: product.attributes.join(', '),
+        },
+      }, messages => completion(messages, JSON.stringify(generated), 200));
+      const keywords = JSON.parse(response);
 
-  async searchCandidates(keywords) {
-    const startTime = Date.now();
-
-    await this.delay(300);
-
-    const candidates = [];
-    for (let i = 0; i < 5000; i++) {
-      candidates.push({
-        id: `prod_${i}`,
-        title: `Product ${i}`,
-        price: Math.random() * 100 + 10,
-        rating: Math.random() * 2 + 3,
-        reviewCount: Math.floor(Math.random() * 10000),
-        category: ['Electronics', 'Accessories', 'Home'][Math.floor(Math.random() * 3)],
-        relevanceScore: Math.random(),
+      ctx.set({
+        output: { keywords, count: keywords.length },
+        reasoning: `Generated ${keywords.length} keywords from product title, category, brand, and attributes`,
       });
-    }
 
-    const output = { candidates: candidates.length, sample: candidates.slice(0, 5) };
+      return keywords;
+    });
+  }
 
-    this.xray.recordStep({
+  async searchCandidates(keywords, run) {
+    return run.step({
       name: 'candidate-search',
       type: 'search',
       input: { keywords },
-      output,
-      candidates: candidates.slice(0, 100),
-      candidateLimit: 100,
-      reasoning: `Searched catalog and found ${candidates.length} candidate products`,
-      duration: Date.now() - startTime,
-    });
-
-    return candidates;
-  }
-
-  async applyFilters(candidates, sellerProduct) {
-    const startTime = Date.now();
-
-    await this.delay(150);
-
-    const filtered = [];
-    const passed = [];
-
-    candidates.forEach(candidate => {
-      const reasons = [];
-
-      if (candidate.price < sellerProduct.price * 0.5 || candidate.price > sellerProduct.price * 2) {
-        reasons.push('price_out_of_range');
-      }
-
-      if (candidate.rating < 3.5) {
-        reasons.push('low_rating');
+    }, async (ctx) => {
+      await this.delay(300);
+
+      const candidates = [];
+      for (let i = 0; i < 5000; i++) {
+        candidates.push({
+          id: `prod_${i}`,
+          title: `Product ${i}`,
+          price: Math.random() * 100 + 10,
+          rating: Math.random() * 2 + 3,
+          reviewCount: Math.floor(Math.random() * 10000),
+          category: ['Electronics', 'Accessories', 'Home'][Math.floor(Math.random() * 3)],
+          relevanceScore: Math.random(),
+        });
       }
 
-      if (candidate.reviewCount < 10) {
-        reasons.push('insufficient_reviews');
-      }
-
-      if (candidate.category !== sellerProduct.category) {
-        reasons.push('category_mismatch');
-      }
+      ctx.set({
+        output: { candidates: candidates.length, sample: candidates.slice(0, 5) },
+        candidates,
+        candidateLimit: 100,
+        sampling: { strategy: 'stratified', field: 'category' },
+        reasoning: `Searched catalog and found ${candidates.length} candidate products`,
+      });
 
-      if (reasons.length > 0) {
-        filtered.push({ candidate, reasons });
-      } else {
-        passed.push(candidate);
-      }
+      return candidates;
     });
+  }
 
-    const output = { passed: passed.length, filtered: filtered.length };
+  async applyFilters(candidates, sellerProduct, run) {
+    const filters = {
+      priceRange: [sellerProduct.price * 0.5, sellerProduct.price * 2],
+      minRating: 3.5,
+      minReviews: 10,
+      categoryMatch: true,
+    };
 
-    this.xray.recordStep({
+    return run.step({
       name: 'filtering',
       type: 'filter',
       input: {
         candidateCount: candidates.length,
-        filters: {
-          priceRange: [sellerProduct.price * 0.5, sellerProduct.price * 2],
-          minRating: 3.5,
-          minReviews: 10,
-          categoryMatch: true,
-        },
+        filters,
       },
-      output,
-      candidates: passed.slice(0, 50),
-      filtered: filtered.slice(0, 50),
-      filteredLimit: 50,
-      reasoning: `Applied filters: ${passed.length} passed, ${filtered.length} filtered out`,
-      duration: Date.now() - startTime,
+    }, async (ctx) => {
+      await this.delay(150);
+
+      const subFilters = [
+        {
+          name: 'price-filter',
+          reason: 'price_out_of_range',
+          rule: { priceRange: filters.priceRange },
+          rules: [
+            { field: 'price', op: '>=', value: filters.priceRange[0], reason: 'price_out_of_range' },
+            { field: 'price', op: '<=', value: filters.priceRange[1], reason: 'price_out_of_range' },
+          ],
+          test: c => c.price >= filters.priceRange[0] && c.price <= filters.priceRange[1],
+        },
+        {
+          name: 'rating-filter',
+          reason: 'low_rating',
+          rule: { minRating: filters.minRating },
+          rules: [{ field: 'rating', op: '>=', value: filters.minRating, reason: 'low_rating' }],
+          test: c => c.rating >= filters.minRating,
+        },
+        {
+          name: 'review-filter',
+          reason: 'insufficient_reviews',
+          rule: { minReviews: filters.minReviews },
+          rules: [{ field: 'reviewCount', op: '>=', value: filters.minReviews, reason: 'insufficient_reviews' }],
+          test: c => c.reviewCount >= filters.minReviews,
+        },
+        {
+          name: 'category-filter',
+          reason: 'category_mismatch',
+          rule: { category: sellerProduct.category },
+          rules: [{ field: 'category', op: '=', value: sellerProduct.category, reason: 'category_mismatch' }],
+          test: c => c.category === sellerProduct.category,
+        },
+      ];
+
+      const filtered = [];
+      const passed = [];
+      const eliminatedBy = subFilters.map(() => []);
+
+      candidates.forEach(candidate => {
+        const reasons = [];
+
+        subFilters.forEach((subFilter, i) => {
+          if (!subFilter.test(candidate)) {
+            reasons.push(subFilter.reason);
+            eliminatedBy[i].push({ candidate, reasons: [subFilter.reason] });
+          }
+        });
+
+        if (reasons.length > 0) {
+          filtered.push({ candidate, reasons });
+        } else {
+          passed.push(candidate);
+        }
+      });
+
+      subFilters.forEach((subFilter, i) => {
+        run.recordStep({
+          name: subFilter.name,
+          type: 'filter',
+          parentStepId: ctx.stepId,
+          input: { candidateCount: candidates.length, rule: subFilter.rule },
+          output: {
+            passed: candidates.length - eliminatedBy[i].length,
+            filtered: eliminatedBy[i].length,
+          },
+          filtered: eliminatedBy[i],
+          filteredLimit: 20,
+          rules: subFilter.rules,
+          reasoning: `${subFilter.name} eliminated ${eliminatedBy[i].length} of ${candidates.length} candidates`,
+        });
+      });
+
+      ctx.set({
+        output: { passed: passed.length, filtered: filtered.length },
+        candidates: passed.slice(0, 50),
+        filtered,
+        filteredLimit: 50,
+        filteredSampling: { strategy: 'stratified', field: 'candidate.category' },
+        rules: subFilters.flatMap(subFilter => subFilter.rules),
+        reasoning: `Applied filters: ${passed.length} passed, ${filtered.length} filtered out`,
+      });
+
+      return passed;
     });
+  }
 
-    return passed;
+  async evaluateRelevance(candidates, sellerProduct, run) {
+    return run.step({
+      name: 'relevance-evaluation',
+      type: 'llm',
+      // The full input is recorded so this step can be replayed
+      input: { candidateCount: candidates.length, candidates, sellerProduct },
+    }, ctx => this.scoreRelevance({ candidates, sellerProduct }, ctx));
   }
 
-  async evaluateRelevance(candidates, sellerProduct) {
-    const startTime = Date.now();
+  async scoreRelevance({ candidates, sellerProduct }, ctx) {
+    const scores = candidates.map(candidate => ({
+      id: candidate.id,
+      score: Number((Math.random() * 0.3 + 0.7).toFixed(3)),
+      matchedAttributes: Math.floor(Math.random() * 3) + 2,
+    }));
 
-    await this.delay(400);
+    const response = await ctx.llm({
+      model: 'gpt-4o',
+      parameters: { temperature: 0.7, maxTokens: 4000 },
+      template: [
+        { role: 'system', content: 'Rate how likely each candidate is a direct competitor of the product, from 0 to 1. Answer with JSON.' },
+        { role: 'user', content: 'Product: {{product}}\nCandidates ({{count}}): {{candidates}}' },
+      ],
+      variables: {
+        product: sellerProduct.title,
+        count: candidates.length,
+        candidates: candidates.map(candidate => `${candidate.id}: ${candidate.title}`).join('; '),
+      },
+    }, messages => completion(messages, JSON.stringify(scores), 400));
 
+    const scoresById = new Map(JSON.parse(response).map(entry => [entry.id, entry]));
     const evaluated = candidates.map(candidate => ({
       ...candidate,
-      relevanceScore: Math.random() * 0.3 + 0.7,
-      reasoning: `Product matches on ${Math.floor(Math.random() * 3) + 2} key attributes`,
+      relevanceScore: scoresById.get(candidate.id).score,
+      reasoning: `Product matches on ${scoresById.get(candidate.id).matchedAttributes} key attributes`,
     }));
 
     const highRelevance = evaluated.filter(c => c.relevanceScore > 0.75);
     const lowRelevance = evaluated.filter(c => c.relevanceScore <= 0.75);
 
-    const output = { highRelevance: highRelevance.length, lowRelevance: lowRelevance.length };
-
-    this.xray.recordStep({
-      name: 'relevance-evaluation',
-      type: 'llm',
-      input: { candidateCount: candidates.length },
-      output,
+    ctx.set({
+      output: { highRelevance: highRelevance.length, lowRelevance: lowRelevance.length },
       candidates: highRelevance,
       filtered: lowRelevance.map(c => ({
         candidate: c,
         reasons: ['low_relevance_score'],
       })),
       reasoning: `Evaluated ${candidates.length} candidates, ${highRelevance.length} passed relevance threshold`,
-      duration: Date.now() - startTime,
     });
 
     return highRelevance;
   }
 
-  async rankAndSelect(candidates, sellerProduct) {
-    const startTime = Date.now();
-
-    await this.delay(100);
-
-    const ranked = candidates.sort((a, b) => b.relevanceScore - a.relevanceScore);
-    const bestMatch = ranked[0];
-
-    const output = { selected: bestMatch, rank: 1 };
-
-    this.xray.recordStep({
+  async rankAndSelect(candidates, sellerProduct, run) {
+    return run.step({
       name: 'ranking-selection',
       type: 'rank',
       input: { candidateCount: candidates.length },
-      output,
-      candidates: ranked.slice(0, 10),
-      reasoning: `Ranked ${candidates.length} candidates by relevance score, selected top match`,
-      duration: Date.now() - startTime,
-    });
+    }, async (ctx) => {
+      await this.delay(100);
 
-    return bestMatch;
+      const ranked = candidates.sort((a, b) => b.relevanceScore - a.relevanceScore);
+      const bestMatch = ranked[0];
+
+      ctx.set({
+        output: { selected: bestMatch, rank: 1 },
+        candidates: ranked.slice(0, 10),
+        reasoning: `Ranked ${candidates.length} candidates by relevance score, selected top match`,
+      });
+
+      return bestMatch;
+    });
   }
 
   delay(ms) {
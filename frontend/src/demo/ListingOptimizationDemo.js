@@ -1,4 +1,5 @@
 import { getXRay } from '../xray-sdk/index';
+import { completion } from './completion';
 
 class ListingOptimizationDemo {
   constructor() {
@@ -6,7 +7,7 @@ class ListingOptimizationDemo {
   }
 
   async optimizeListing(currentListing) {
-    this.xray.startRun({
+    const run = this.xray.startRun({
       pipeline: 'listing-optimization',
       input: currentListing,
       metadata: {
@@ -16,24 +17,24 @@ class ListingOptimizationDemo {
     });
 
     try {
-      await this.analyzeListing(currentListing);
+      await this.analyzeListing(currentListing, run);
 
-      const competitors = await this.findTopCompetitors(currentListing);
+      const competitors = await this.findTopCompetitors(currentListing, run);
 
-      const patterns = await this.extractPatterns(competitors);
+      const patterns = await this.extractPatterns(competitors, run);
 
-      const variations = await this.generateVariations(currentListing, patterns);
+      const variations = await this.generateVariations(currentListing, patterns, run);
 
-      const optimized = await this.scoreAndSelect(variations, currentListing);
+      const optimized = await this.scoreAndSelect(variations, currentListing, run);
 
-      this.xray.endRun({
+      run.endRun({
         status: 'success',
         output: optimized,
       });
 
       return optimized;
     } catch (error) {
-      this.xray.endRun({
+      run.endRun({
         status: 'error',
         error: error.message,
       });
@@ -41,171 +42,189 @@ class ListingOptimizationDemo {
     }
   }
 
-  async analyzeListing(listing) {
-    const startTime = Date.now();
-    await this.delay(150);
-
-    const analysis = {
-      titleLength: listing.title.length,
-      bulletCount: listing.bullets.length,
-      descriptionLength: listing.description.length,
-      imageCount: listing.images.length,
-      keywordDensity: Math.random() * 0.3 + 0.1,
-      readabilityScore: Math.random() * 0.2 + 0.7,
-    };
-
-    const output = { analysis, issues: ['short_description', 'low_keyword_density'] };
-
-    this.xray.recordStep({
+  async analyzeListing(listing, run) {
+    return run.step({
       name: 'listing-analysis',
       type: 'transform',
       input: { listing: { productId: listing.productId, title: listing.title } },
-      output,
-      reasoning: `Analyzed listing structure and identified ${output.issues.length} improvement areas`,
-      duration: Date.now() - startTime,
-    });
-
-    return analysis;
-  }
-
-  async findTopCompetitors(listing) {
-    const startTime = Date.now();
-    await this.delay(250);
-
-    const competitors = [];
-    for (let i = 0; i < 200; i++) {
-      competitors.push({
-        id: `comp_${i}`,
-        title: `Competitor Product ${i}`,
-        salesRank: Math.floor(Math.random() * 10000) + 1,
-        rating: Math.random() * 1.5 + 3.5,
-        reviewCount: Math.floor(Math.random() * 50000),
-        titleLength: Math.floor(Math.random() * 100) + 50,
-        bulletCount: Math.floor(Math.random() * 5) + 3,
+    }, async (ctx) => {
+      await this.delay(150);
+
+      const analysis = {
+        titleLength: listing.title.length,
+        bulletCount: listing.bullets.length,
+        descriptionLength: listing.description.length,
+        imageCount: listing.images.length,
+        keywordDensity: Math.random() * 0.3 + 0.1,
+        readabilityScore: Math.random() * 0.2 + 0.7,
+      };
+
+      const output = { analysis, issues: ['short_description', 'low_keyword_density'] };
+
+      ctx.set({
+        output,
+        reasoning: `Analyzed listing structure and identified ${output.issues.length} improvement areas`,
       });
-    }
 
-    const output = { competitors: competitors.length, sample: competitors.slice(0, 5) };
+      return analysis;
+    });
+  }
 
-    this.xray.recordStep({
+  async findTopCompetitors(listing, run) {
+    return run.step({
       name: 'competitor-search',
       type: 'search',
       input: { category: listing.category, keywords: listing.keywords },
-      output,
-      candidates: competitors.slice(0, 50),
-      candidateLimit: 50,
-      reasoning: `Found ${competitors.length} competitor listings in the same category`,
-      duration: Date.now() - startTime,
-    });
+    }, async (ctx) => {
+      await this.delay(250);
+
+      const competitors = [];
+      for (let i = 0; i < 200; i++) {
+        competitors.push({
+          id: `comp_${i}`,
+          title: `Competitor Product ${i}`,
+          salesRank: Math.floor(Math.random() * 10000) + 1,
+          rating: Math.random() * 1.5 + 3.5,
+          reviewCount: Math.floor(Math.random() * 50000),
+          titleLength: Math.floor(Math.random() * 100) + 50,
+          bulletCount: Math.floor(Math.random() * 5) + 3,
+        });
+      }
+
+      ctx.set({
+        output: { competitors: competitors.length, sample: competitors.slice(0, 5) },
+        candidates: competitors,
+        candidateLimit: 50,
+        sampling: 'reservoir',
+        reasoning: `Found ${competitors.length} competitor listings in the same category`,
+      });
 
-    return competitors;
+      return competitors;
+    });
   }
 
-  async extractPatterns(competitors) {
-    const startTime = Date.now();
-    await this.delay(200);
-
-    const topPerformers = competitors
-      .filter(c => c.salesRank < 1000 && c.rating > 4.0)
-      .slice(0, 30);
-
-    const filtered = competitors.filter(c => !topPerformers.includes(c));
-
-    const patterns = {
-      avgTitleLength: Math.floor(
-        topPerformers.reduce((sum, c) => sum + c.titleLength, 0) / topPerformers.length
-      ),
-      avgBulletCount: Math.floor(
-        topPerformers.reduce((sum, c) => sum + c.bulletCount, 0) / topPerformers.length
-      ),
-      commonKeywords: ['premium', 'durable', 'high-quality', 'fast', 'reliable'],
-    };
-
-    const output = { patterns, topPerformersCount: topPerformers.length };
-
-    this.xray.recordStep({
+  async extractPatterns(competitors, run) {
+    return run.step({
       name: 'pattern-extraction',
       type: 'filter',
       input: { competitorCount: competitors.length },
-      output,
-      candidates: topPerformers,
-      filtered: filtered.slice(0, 30).map(c => ({
-        candidate: c,
-        reasons: c.salesRank >= 1000 ? ['low_sales_rank'] : ['low_rating'],
-      })),
-      filteredLimit: 30,
-      reasoning: `Extracted patterns from ${topPerformers.length} top-performing competitors`,
-      duration: Date.now() - startTime,
-    });
+    }, async (ctx) => {
+      await this.delay(200);
+
+      const topPerformers = competitors
+        .filter(c => c.salesRank < 1000 && c.rating > 4.0)
+        .slice(0, 30);
+
+      const filtered = competitors.filter(c => !topPerformers.includes(c));
+
+      const patterns = {
+        avgTitleLength: Math.floor(
+          topPerformers.reduce((sum, c) => sum + c.titleLength, 0) / topPerformers.length
+        ),
+        avgBulletCount: Math.floor(
+          topPerformers.reduce((sum, c) => sum + c.bulletCount, 0) / topPerformers.length
+        ),
+        commonKeywords: ['premium', 'durable', 'high-quality', 'fast', 'reliable'],
+      };
+
+      ctx.set({
+        output: { patterns, topPerformersCount: topPerformers.length },
+        candidates: topPerformers,
+        filtered: filtered.map(c => ({
+          candidate: c,
+          reasons: c.salesRank >= 1000 ? ['low_sales_rank'] : ['low_rating'],
+        })),
+        filteredLimit: 30,
+        reasoning: `Extracted patterns from ${topPerformers.length} top-performing competitors`,
+      });
 
-    return patterns;
+      return patterns;
+    });
   }
 
-  async generateVariations(listing, patterns) {
-    const startTime = Date.now();
-    await this.delay(350);
-
-    const variations = [];
-    for (let i = 0; i < 150; i++) {
-      variations.push({
+  async generateVariations(listing, patterns, run) {
+    return run.step({
+      name: 'content-generation',
+      type: 'llm',
+      input: { patterns, originalListing: listing.title },
+    }, async (ctx) => {
+      const drafts = [];
+      for (let i = 0; i < 150; i++) {
+        drafts.push({
+          title: `${listing.title} - ${patterns.commonKeywords[i % patterns.commonKeywords.length]}`,
+          bullets: Array(patterns.avgBulletCount).fill(`Feature ${i}`),
+          description: `Enhanced description variation ${i}`,
+        });
+      }
+
+      const response = await ctx.llm({
+        model: 'gpt-4o',
+        parameters: { temperature: 0.9, maxTokens: 8000 },
+        template: [
+          { role: 'system', content: 'You write product listings. Answer with a JSON array of { title, bullets, description }.' },
+          { role: 'user', content: 'Write {{count}} variations of "{{title}}" with {{patterns.avgBulletCount}} bullets each, using keywords like: {{keywords}}' },
+        ],
+        variables: {
+          count: drafts.length,
+          title: listing.title,
+          patterns,
+          keywords: patterns.commonKeywords.join(', '),
+        },
+      }, messages => completion(messages, JSON.stringify(drafts), 350));
+
+      const variations = JSON.parse(response).map((draft, i) => ({
         id: `var_${i}`,
-        title: `${listing.title} - ${patterns.commonKeywords[i % patterns.commonKeywords.length]}`,
-        bullets: Array(patterns.avgBulletCount).fill(`Feature ${i}`),
-        description: `Enhanced description variation ${i}`,
+        ...draft,
         qualityScore: Math.random() * 0.4 + 0.6,
         keywordScore: Math.random() * 0.3 + 0.7,
+      }));
+
+      ctx.set({
+        output: { variations: variations.length, sample: variations.slice(0, 3) },
+        candidates: variations,
+        candidateLimit: 50,
+        // Keep the best and worst variations, not just the first generated
+        sampling: { strategy: 'extremes', field: 'qualityScore' },
+        reasoning: `Generated ${variations.length} content variations based on top performer patterns`,
       });
-    }
-
-    const output = { variations: variations.length, sample: variations.slice(0, 3) };
 
-    this.xray.recordStep({
-      name: 'content-generation',
-      type: 'llm',
-      input: { patterns, originalListing: listing.title },
-      output,
-      candidates: variations.slice(0, 50),
-      candidateLimit: 50,
-      reasoning: `Generated ${variations.length} content variations based on top performer patterns`,
-      duration: Date.now() - startTime,
+      return variations;
     });
-
-    return variations;
   }
 
-  async scoreAndSelect(variations, originalListing) {
-    const startTime = Date.now();
-    await this.delay(150);
-
-    const highQuality = variations.filter(v => v.qualityScore > 0.75);
-    const lowQuality = variations.filter(v => v.qualityScore <= 0.75);
-
-    const ranked = highQuality
-      .map(v => ({
-        ...v,
-        combinedScore: v.qualityScore * 0.6 + v.keywordScore * 0.4,
-      }))
-      .sort((a, b) => b.combinedScore - a.combinedScore);
-
-    const best = ranked[0];
-
-    const output = { selected: best, rank: 1, combinedScore: best.combinedScore };
-
-    this.xray.recordStep({
+  async scoreAndSelect(variations, originalListing, run) {
+    return run.step({
       name: 'scoring-selection',
       type: 'rank',
       input: { variationCount: variations.length },
-      output,
-      candidates: ranked.slice(0, 10),
-      filtered: lowQuality.slice(0, 20).map(v => ({
-        candidate: v,
-        reasons: ['low_quality_score'],
-      })),
-      reasoning: `Scored ${variations.length} variations, selected top performer with score ${best.combinedScore.toFixed(2)}`,
-      duration: Date.now() - startTime,
-    });
+    }, async (ctx) => {
+      await this.delay(150);
+
+      const highQuality = variations.filter(v => v.qualityScore > 0.75);
+      const lowQuality = variations.filter(v => v.qualityScore <= 0.75);
+
+      const ranked = highQuality
+        .map(v => ({
+          ...v,
+          combinedScore: v.qualityScore * 0.6 + v.keywordScore * 0.4,
+        }))
+        .sort((a, b) => b.combinedScore - a.combinedScore);
+
+      const best = ranked[0];
+
+      ctx.set({
+        output: { selected: best, rank: 1, combinedScore: best.combinedScore },
+        candidates: ranked.slice(0, 10),
+        filtered: lowQuality.map(v => ({
+          candidate: v,
+          reasons: ['low_quality_score'],
+        })),
+        filteredLimit: 20,
+        reasoning: `Scored ${variations.length} variations, selected top performer with score ${best.combinedScore.toFixed(2)}`,
+      });
 
-    return best;
+      return best;
+    });
   }
 
   delay(ms) {
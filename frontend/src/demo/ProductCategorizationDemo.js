@@ -1,12 +1,18 @@
 import { getXRay } from '../xray-sdk/index';
+import { completion } from './completion';
 
 class ProductCategorizationDemo {
   constructor() {
     this.xray = getXRay();
   }
 
+  // Steps that can be re-executed from their recorded input
+  static registerReplayableSteps(xray) {
+    xray.registerStep('ambiguity-resolution', (input, ctx) => new ProductCategorizationDemo().disambiguate(input, ctx));
+  }
+
   async categorizeProduct(product) {
-    this.xray.startRun({
+    const run = this.xray.startRun({
       pipeline: 'product-categorization',
       input: product,
       metadata: {
@@ -16,24 +22,24 @@ class ProductCategorizationDemo {
     });
 
     try {
-      const attributes = await this.extractAttributes(product);
+      const attributes = await this.extractAttributes(product, run);
 
-      const categoryMatches = await this.matchCategories(attributes);
+      const categoryMatches = await this.matchCategories(attributes, run);
 
-      const highConfidence = await this.filterByConfidence(categoryMatches);
+      const highConfidence = await this.filterByConfidence(categoryMatches, run);
 
-      const resolved = await this.resolveAmbiguity(highConfidence, product);
+      const resolved = await this.resolveAmbiguity(highConfidence, product, run);
 
-      const bestCategory = await this.selectBestCategory(resolved);
+      const bestCategory = await this.selectBestCategory(resolved, run);
 
-      this.xray.endRun({
+      run.endRun({
         status: 'success',
         output: bestCategory,
       });
 
       return bestCategory;
     } catch (error) {
-      this.xray.endRun({
+      run.endRun({
         status: 'error',
         error: error.message,
       });
@@ -41,190 +47,204 @@ class ProductCategorizationDemo {
     }
   }
 
-  async extractAttributes(product) {
-    const startTime = Date.now();
-    await this.delay(180);
-
-    const attributes = {
-      keywords: product.title.toLowerCase().split(' ').slice(0, 10),
-      brand: product.brand,
-      category: product.category,
-      price: product.price,
-      features: product.attributes || [],
-      description: product.description ? product.description.substring(0, 200) : '',
-    };
-
-    const output = {
-      attributes,
-      keywordCount: attributes.keywords.length,
-      featureCount: attributes.features.length,
-    };
-
-    this.xray.recordStep({
+  async extractAttributes(product, run) {
+    return run.step({
       name: 'attribute-extraction',
       type: 'transform',
       input: { product: { id: product.id, title: product.title } },
-      output,
-      reasoning: `Extracted ${attributes.keywords.length} keywords and ${attributes.features.length} features from product`,
-      duration: Date.now() - startTime,
-    });
-
-    return attributes;
-  }
-
-  async matchCategories(attributes) {
-    const startTime = Date.now();
-    await this.delay(300);
-
-    const allCategories = [
-      { id: 'cat_electronics_phones', name: 'Electronics > Phones', keywords: ['phone', 'mobile', 'smartphone'], confidence: 0.0 },
-      { id: 'cat_electronics_accessories', name: 'Electronics > Accessories', keywords: ['charger', 'cable', 'adapter'], confidence: 0.0 },
-      { id: 'cat_electronics_computers', name: 'Electronics > Computers', keywords: ['laptop', 'computer', 'pc'], confidence: 0.0 },
-      { id: 'cat_home_office', name: 'Home > Office Supplies', keywords: ['desk', 'stand', 'organizer'], confidence: 0.0 },
-      { id: 'cat_electronics_audio', name: 'Electronics > Audio', keywords: ['speaker', 'headphone', 'audio'], confidence: 0.0 },
-    ];
-
-    const categories = [];
-    for (let i = 0; i < 50; i++) {
-      const category = {
-        id: `cat_${i}`,
-        name: `Category ${i}`,
-        keywords: [`keyword${i}`, `term${i}`],
-        confidence: Math.random() * 0.5 + 0.3,
+    }, async (ctx) => {
+      await this.delay(180);
+
+      const attributes = {
+        keywords: product.title.toLowerCase().split(' ').slice(0, 10),
+        brand: product.brand,
+        category: product.category,
+        price: product.price,
+        features: product.attributes || [],
+        description: product.description ? product.description.substring(0, 200) : '',
       };
-      categories.push(category);
-    }
 
-    const matches = categories.map(cat => {
-      const keywordMatches = attributes.keywords.filter(kw =>
-        cat.keywords.some(ck => ck.includes(kw) || kw.includes(ck))
-      ).length;
-      const confidence = Math.min(0.95, (keywordMatches / attributes.keywords.length) * 0.8 + Math.random() * 0.2);
-      return { ...cat, confidence };
-    });
+      ctx.set({
+        output: {
+          attributes,
+          keywordCount: attributes.keywords.length,
+          featureCount: attributes.features.length,
+        },
+        reasoning: `Extracted ${attributes.keywords.length} keywords and ${attributes.features.length} features from product`,
+      });
 
-    const output = { matches: matches.length, topMatches: matches.slice(0, 5) };
+      return attributes;
+    });
+  }
 
-    this.xray.recordStep({
+  async matchCategories(attributes, run) {
+    return run.step({
       name: 'category-matching',
       type: 'search',
       input: { attributes: { keywordCount: attributes.keywords.length } },
-      output,
-      candidates: matches.slice(0, 30),
-      candidateLimit: 30,
-      reasoning: `Matched product against ${matches.length} potential categories based on keywords and attributes`,
-      duration: Date.now() - startTime,
-    });
+    }, async (ctx) => {
+      await this.delay(300);
+
+      const allCategories = [
+        { id: 'cat_electronics_phones', name: 'Electronics > Phones', keywords: ['phone', 'mobile', 'smartphone'], confidence: 0.0 },
+        { id: 'cat_electronics_accessories', name: 'Electronics > Accessories', keywords: ['charger', 'cable', 'adapter'], confidence: 0.0 },
+        { id: 'cat_electronics_computers', name: 'Electronics > Computers', keywords: ['laptop', 'computer', 'pc'], confidence: 0.0 },
+        { id: 'cat_home_office', name: 'Home > Office Supplies', keywords: ['desk', 'stand', 'organizer'], confidence: 0.0 },
+        { id: 'cat_electronics_audio', name: 'Electronics > Audio', keywords: ['speaker', 'headphone', 'audio'], confidence: 0.0 },
+      ];
+
+      const categories = [];
+      for (let i = 0; i < 50; i++) {
+        const category = {
+          id: `cat_${i}`,
+          name: `Category ${i}`,
+          keywords: [`keyword${i}`, `term${i}`],
+          confidence: Math.random() * 0.5 + 0.3,
+        };
+        categories.push(category);
+      }
+
+      const matches = categories.map(cat => {
+        const keywordMatches = attributes.keywords.filter(kw =>
+          cat.keywords.some(ck => ck.includes(kw) || kw.includes(ck))
+        ).length;
+        const confidence = Math.min(0.95, (keywordMatches / attributes.keywords.length) * 0.8 + Math.random() * 0.2);
+        return { ...cat, confidence };
+      });
 
-    return matches;
-  }
+      ctx.set({
+        output: { matches: matches.length, topMatches: matches.slice(0, 5) },
+        candidates: matches,
+        candidateLimit: 30,
+        sampling: { strategy: 'extremes', field: 'confidence' },
+        reasoning: `Matched product against ${matches.length} potential categories based on keywords and attributes`,
+      });
 
-  async filterByConfidence(matches) {
-    const startTime = Date.now();
-    await this.delay(120);
+      return matches;
+    });
+  }
 
+  async filterByConfidence(matches, run) {
     const threshold = 0.65;
-    const highConfidence = matches.filter(m => m.confidence >= threshold);
-    const lowConfidence = matches.filter(m => m.confidence < threshold);
-
-    const output = {
-      highConfidence: highConfidence.length,
-      lowConfidence: lowConfidence.length,
-      threshold,
-    };
 
-    this.xray.recordStep({
+    return run.step({
       name: 'confidence-filtering',
       type: 'filter',
       input: { matchCount: matches.length, threshold },
-      output,
-      candidates: highConfidence,
-      filtered: lowConfidence.slice(0, 20).map(m => ({
-        candidate: m,
-        reasons: ['low_confidence_score'],
-      })),
-      filteredLimit: 20,
-      reasoning: `Filtered ${matches.length} matches to ${highConfidence.length} high-confidence categories (>=${threshold})`,
-      duration: Date.now() - startTime,
+      rules: [{ field: 'confidence', op: '>=', value: threshold, reason: 'low_confidence_score' }],
+    }, async (ctx) => {
+      await this.delay(120);
+
+      const highConfidence = matches.filter(m => m.confidence >= threshold);
+      const lowConfidence = matches.filter(m => m.confidence < threshold);
+
+      ctx.set({
+        output: {
+          highConfidence: highConfidence.length,
+          lowConfidence: lowConfidence.length,
+          threshold,
+        },
+        candidates: highConfidence,
+        filtered: lowConfidence.map(m => ({
+          candidate: m,
+          reasons: ['low_confidence_score'],
+        })),
+        filteredLimit: 20,
+        reasoning: `Filtered ${matches.length} matches to ${highConfidence.length} high-confidence categories (>=${threshold})`,
+      });
+
+      return highConfidence;
     });
+  }
 
-    return highConfidence;
+  async resolveAmbiguity(matches, product, run) {
+    return run.step({
+      name: 'ambiguity-resolution',
+      type: 'llm',
+      // The full input is recorded so this step can be replayed
+      input: { matchCount: matches.length, matches, product },
+    }, ctx => this.disambiguate({ matches, product }, ctx));
   }
 
-  async resolveAmbiguity(matches, product) {
-    const startTime = Date.now();
-    await this.delay(250);
+  async disambiguate({ matches, product }, ctx) {
+    const scores = matches.map(match => ({
+      name: match.name,
+      score: Number((Math.random() * 0.2 + 0.7).toFixed(3)),
+    }));
+
+    const response = await ctx.llm({
+      model: 'gpt-4o-mini',
+      parameters: { temperature: 0.5, maxTokens: 500 },
+      template: [
+        { role: 'system', content: 'Several categories fit this product. Score how well each fits, from 0 to 1. Answer with JSON.' },
+        { role: 'user', content: 'Product: {{title}}\nDescription: {{description}}\nCategories: {{categories}}' },
+      ],
+      variables: {
+        title: product.title,
+        description: product.description || '',
+        categories: matches.map(match => match.name).join(', '),
+      },
+    }, messages => completion(messages, JSON.stringify(scores), 250));
 
+    const scoresByName = new Map(JSON.parse(response).map(entry => [entry.name, entry.score]));
     const resolved = matches.map(match => ({
       ...match,
-      disambiguationScore: Math.random() * 0.2 + 0.7,
+      disambiguationScore: scoresByName.get(match.name),
       reasoning: `Category ${match.name} matches based on ${Math.floor(match.confidence * 10)}/10 confidence`,
     }));
 
     const clear = resolved.filter(m => m.disambiguationScore > 0.75);
     const ambiguous = resolved.filter(m => m.disambiguationScore <= 0.75);
 
-    const output = { clear: clear.length, ambiguous: ambiguous.length };
-
-    this.xray.recordStep({
-      name: 'ambiguity-resolution',
-      type: 'llm',
-      input: { matchCount: matches.length },
-      output,
+    ctx.set({
+      output: { clear: clear.length, ambiguous: ambiguous.length },
       candidates: clear,
-      filtered: ambiguous.slice(0, 10).map(m => ({
+      filtered: ambiguous.map(m => ({
         candidate: m,
         reasons: ['ambiguous_match'],
       })),
+      filteredLimit: 10,
       reasoning: `Resolved ${matches.length} matches, ${clear.length} are clear, ${ambiguous.length} are ambiguous`,
-      duration: Date.now() - startTime,
     });
 
     return clear;
   }
 
-  async selectBestCategory(matches) {
-    const startTime = Date.now();
-    await this.delay(100);
-
-    if (!matches || matches.length === 0) {
-      const output = { selected: null, rank: 0, error: 'No matches to select from' };
-      
-      this.xray.recordStep({
-        name: 'category-selection',
-        type: 'rank',
-        input: { matchCount: 0 },
-        output,
-        candidates: [],
-        reasoning: 'No category matches available for selection',
-        duration: Date.now() - startTime,
-      });
-
-      throw new Error('No category matches available for selection');
-    }
-
-    const ranked = matches
-      .map(m => ({
-        ...m,
-        finalScore: m.confidence * 0.7 + m.disambiguationScore * 0.3,
-      }))
-      .sort((a, b) => b.finalScore - a.finalScore);
-
-    const best = ranked[0];
-
-    const output = { selected: best, rank: 1, finalScore: best.finalScore };
-
-    this.xray.recordStep({
+  async selectBestCategory(matches, run) {
+    return run.step({
       name: 'category-selection',
       type: 'rank',
-      input: { matchCount: matches.length },
-      output,
-      candidates: ranked.slice(0, 5),
-      reasoning: `Selected best-fit category: ${best.name} with final score ${best.finalScore.toFixed(2)}`,
-      duration: Date.now() - startTime,
-    });
+      input: { matchCount: matches ? matches.length : 0 },
+    }, async (ctx) => {
+      await this.delay(100);
+
+      if (!matches || matches.length === 0) {
+        ctx.set({
+          output: { selected: null, rank: 0, error: 'No matches to select from' },
+          candidates: [],
+          reasoning: 'No category matches available for selection',
+        });
+
+        throw new Error('No category matches available for selection');
+      }
+
+      const ranked = matches
+        .map(m => ({
+          ...m,
+          finalScore: m.confidence * 0.7 + m.disambiguationScore * 0.3,
+        }))
+        .sort((a, b) => b.finalScore - a.finalScore);
+
+      const best = ranked[0];
+
+      ctx.set({
+        output: { selected: best, rank: 1, finalScore: best.finalScore },
+        candidates: ranked.slice(0, 5),
+        reasoning: `Selected best-fit category: ${best.name} with final score ${best.finalScore.toFixed(2)}`,
+      });
 
-    return best;
+      return best;
+    });
   }
 
   delay(ms) {
@@ -0,0 +1,14 @@
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Stand-in for a model call shared by the demos: resolves with the given
+ * response after `ms`, with token usage estimated from text length.
+ */
+export async function completion(messages, response, ms) {
+  await delay(ms);
+  const prompt = messages.map(message => message.content).join('\n');
+  return {
+    response,
+    usage: { promptTokens: Math.ceil(prompt.length / 4), completionTokens: Math.ceil(response.length / 4) },
+  };
+}
@@ -0,0 +1,32 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Queue adapter backed by a JSON spool file, for Node processes.
+ * Kept out of the main SDK module so browser bundles never import `fs`.
+ *
+ *   initXRay({ queueStorage: createFileSpool('/var/tmp/xray-spool.json') });
+ *
+ * @param {string} filePath - Spool file location
+ */
+export function createFileSpool(filePath) {
+  return {
+    load() {
+      try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        return [];
+      }
+    },
+    save(events) {
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(events));
+        fs.renameSync(tmpPath, filePath);
+      } catch (error) {
+        // Spool is best-effort - the in-memory queue still works
+      }
+    },
+  };
+}
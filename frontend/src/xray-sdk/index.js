@@ -1,121 +1,730 @@
-class XRaySDK {
-  constructor(config = {}) {
-    this.apiUrl = config.apiUrl || 'http://localhost:3001/api';
-    this.enabled = config.enabled !== false;
-    this.runId = null;
-    this.steps = [];
-    this.metadata = config.metadata || {};
-    this.onError = config.onError || (() => {});
-    this.batchSize = config.batchSize || 10;
-    this.pendingEvents = [];
+const getPath = (obj, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  obj
+);
+
+// Version of the event envelope, validated by the API on ingest
+const SCHEMA_VERSION = 1;
+
+// unref: in Node, don't let the wait alone keep the process alive
+const sleep = (ms, { unref = false } = {}) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  if (unref && timer.unref) timer.unref();
+});
+
+// Uniform random sample of k items (Algorithm R)
+const reservoirSample = (items, k) => {
+  const reservoir = items.slice(0, k);
+  for (let i = k; i < items.length; i++) {
+    const j = Math.floor(Math.random() * (i + 1));
+    if (j < k) reservoir[j] = items[i];
   }
+  return reservoir;
+};
 
-  startRun(context) {
-    if (!this.enabled) return null;
+const percentile = (sorted, p) =>
+  sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+
+// Sorts instead of Math.min(...values), which overflows the stack on large arrays
+const numericStats = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const sum = sorted.reduce((a, b) => a + b, 0);
+
+  const bins = new Array(10).fill(0);
+  const width = (max - min) / bins.length;
+  sorted.forEach(v => {
+    const bin = width === 0 ? 0 : Math.min(bins.length - 1, Math.floor((v - min) / width));
+    bins[bin]++;
+  });
+
+  return {
+    min,
+    max,
+    avg: sum / sorted.length,
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p99: percentile(sorted, 99),
+    histogram: bins,
+  };
+};
+
+const valueFrequencies = (values, topN = 10) => {
+  const counts = new Map();
+  values.forEach(v => counts.set(String(v), (counts.get(String(v)) || 0) + 1));
+
+  const top = Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topN)
+    .map(([value, count]) => ({ value, count }));
+
+  return { distinct: counts.size, top };
+};
+
+// Fill {{path}} placeholders from variables; unknown placeholders are left as-is
+const renderTemplate = (template, variables = {}) => String(template).replace(
+  /\{\{\s*([\w$.]+)\s*\}\}/g,
+  (placeholder, path) => {
+    const value = getPath(variables, path);
+    if (value === undefined) return placeholder;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+);
+
+// A string template is a single user message; an array is [{ role, content }]
+const renderMessages = (template, variables) => {
+  if (!template) return undefined;
+  const messages = typeof template === 'string' ? [{ role: 'user', content: template }] : template;
+  return messages.map(message => ({ ...message, content: renderTemplate(message.content, variables) }));
+};
+
+// First numeric value, or null
+const firstNumber = (...values) => {
+  const found = values.find(value => typeof value === 'number' && !isNaN(value));
+  return found === undefined ? null : found;
+};
+
+/**
+ * Normalize a recorded LLM call. Token usage is accepted in camelCase or in
+ * the snake_case shapes provider SDKs return (prompt_tokens, input_tokens).
+ */
+const normalizeLLMCall = (call) => {
+  const usage = call.usage || {};
+  const promptTokens = firstNumber(usage.promptTokens, usage.prompt_tokens, usage.input_tokens);
+  const completionTokens = firstNumber(usage.completionTokens, usage.completion_tokens, usage.output_tokens);
+  const bothCounted = promptTokens !== null && completionTokens !== null;
+
+  return {
+    model: call.model,
+    parameters: call.parameters || {},
+    template: call.template,
+    variables: call.variables,
+    messages: call.messages || renderMessages(call.template, call.variables),
+    response: call.response,
+    usage: {
+      promptTokens,
+      completionTokens,
+      totalTokens: firstNumber(usage.totalTokens, usage.total_tokens, bothCounted ? promptTokens + completionTokens : null),
+    },
+    latencyMs: firstNumber(call.latencyMs),
+    // Explicit cost wins over the backend's per-model pricing
+    cost: firstNumber(call.cost),
+    error: call.error || null,
+  };
+};
+
+/**
+ * Make an LLM call and record it, timed and with its rendered messages, even
+ * when it fails.
+ * @param {Object} call - { model, parameters, template, variables, messages }
+ * @param {Function} llmFn - async (messages) => { response, usage, cost }
+ * @returns {Promise<*>} The raw response
+ */
+const callLLM = async (call, llmFn, recordLLMCall) => {
+  const messages = call.messages || renderMessages(call.template, call.variables);
+  const startTime = Date.now();
+
+  try {
+    const { response, usage, cost } = await llmFn(messages);
+    recordLLMCall({ ...call, messages, response, usage, cost, latencyMs: Date.now() - startTime });
+    return response;
+  } catch (error) {
+    recordLLMCall({ ...call, messages, latencyMs: Date.now() - startTime, error: error.message });
+    throw error;
+  }
+};
 
+/**
+ * The ctx step functions receive. set() and recorded LLM calls collect into
+ * `details`; without a run they are simply dropped.
+ * @param {Object} options - { stepId, run, details, step(childStep, childFn) }
+ */
+const createStepContext = ({ stepId = null, run = null, details = {}, step }) => {
+  const recordLLMCall = (call) => {
+    details.llmCalls = [...(details.llmCalls || []), call];
+  };
+
+  return {
+    stepId,
+    run,
+    set: fields => Object.assign(details, fields),
+    step,
+    recordLLMCall,
+    llm: (call, llmFn) => callLLM(call, llmFn, recordLLMCall),
+  };
+};
+
+/**
+ * Handle for a single pipeline run.
+ * Each run keeps its own steps and timing, so overlapping runs on the same
+ * SDK instance never record into each other.
+ */
+class XRayRun {
+  constructor(sdk, context) {
+    this.sdk = sdk;
     this.runId = `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.pipeline = context.pipeline;
     this.steps = [];
     this.startTime = Date.now();
+    this.ended = false;
+    this.openSteps = new Map();
+    this.stepDepths = new Map();
+    // Orders steps by start, independent of clock resolution and of the
+    // order their events reach the backend
+    this.nextSequence = 0;
+  }
 
-    const runContext = {
-      runId: this.runId,
-      pipeline: context.pipeline,
-      input: context.input,
-      metadata: { ...this.metadata, ...context.metadata },
+  recordStep(step) {
+    if (!this.sdk.enabled || this.ended) return null;
+
+    return this._emitStep(this._newStepId(), step, new Date().toISOString(), this.nextSequence++);
+  }
+
+  /**
+   * Open a step whose children are recorded before it finishes.
+   * Pass the returned ID as `parentStepId` to nest steps under it,
+   * then close it with endStep().
+   */
+  startStep(step) {
+    if (!this.sdk.enabled || this.ended) return null;
+
+    const stepId = this._newStepId();
+    this.openSteps.set(stepId, {
+      ...step,
+      startTime: Date.now(),
       timestamp: new Date().toISOString(),
-    };
+      sequence: this.nextSequence++,
+    });
+    this.stepDepths.set(stepId, this._depthFor(step.parentStepId));
 
-    this._sendEvent('run_start', runContext).catch(this.onError);
+    return stepId;
+  }
 
-    return this.runId;
+  endStep(stepId, result = {}) {
+    const openStep = this.openSteps.get(stepId);
+    if (!openStep) return null;
+
+    this.openSteps.delete(stepId);
+    const { startTime, timestamp, sequence, ...step } = openStep;
+
+    return this._emitStep(stepId, {
+      ...step,
+      ...result,
+      duration: result.duration || Date.now() - startTime,
+    }, timestamp, sequence);
   }
 
-  recordStep(step) {
-    if (!this.enabled || !this.runId) return null;
+  /**
+   * Run fn as a timed step.
+   * The return value is recorded as the step output unless ctx.set() provides
+   * one. If fn throws, the step is recorded with status 'error' and the error
+   * is rethrown.
+   * @param {Object} step - { name, type, input, parentStepId, ... }
+   * @param {Function} fn - async (ctx) => result; ctx has stepId, set(), step(),
+   *   llm() and recordLLMCall()
+   */
+  async step(step, fn) {
+    const stepId = this.startStep(step);
+    const details = {};
+    const ctx = createStepContext({
+      stepId,
+      run: this,
+      details,
+      step: (childStep, childFn) => this.step({ ...childStep, parentStepId: stepId }, childFn),
+    });
+
+    try {
+      const result = await fn(ctx);
+      this.endStep(stepId, { output: result, ...details, status: 'success' });
+      return result;
+    } catch (error) {
+      this.endStep(stepId, {
+        ...details,
+        status: 'error',
+        error: { message: error.message, stack: error.stack },
+      });
+      throw error;
+    }
+  }
+
+  _emitStep(stepId, step, timestamp, sequence) {
+    const depth = this._depthFor(step.parentStepId);
+    this.stepDepths.set(stepId, depth);
 
-    const stepId = `step_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const stepData = {
       stepId,
       runId: this.runId,
+      parentStepId: step.parentStepId || null,
+      depth,
+      sequence,
       name: step.name,
       type: step.type,
       input: step.input,
       output: step.output,
-      candidates: this._summarizeIfLarge(step.candidates, step.candidateLimit),
-      filtered: this._summarizeIfLarge(step.filtered, step.filteredLimit),
+      candidates: this.sdk._summarizeIfLarge(
+        step.candidates,
+        step.candidateLimit,
+        step.candidateSampling || step.sampling
+      ),
+      filtered: this.sdk._summarizeIfLarge(
+        step.filtered,
+        step.filteredLimit,
+        step.filteredSampling || step.sampling
+      ),
+      // Computed from the full array, so it survives summarization
+      filterReasons: this.sdk._computeReasonBreakdown(step.filtered),
       metadata: step.metadata || {},
       reasoning: step.reasoning,
-      timestamp: new Date().toISOString(),
+      // [{ field, op, value, reason }] lets the backend replay a filter under other values
+      rules: step.rules,
+      // Prompts, responses, model parameters and token usage of LLM calls
+      llmCalls: step.llmCalls ? step.llmCalls.map(normalizeLLMCall) : undefined,
+      status: step.status || 'success',
+      error: step.error || null,
+      timestamp,
       duration: step.duration || null,
     };
 
     this.steps.push(stepData);
 
     // Send step event asynchronously
-    this._sendEvent('step', stepData).catch(this.onError);
+    this.sdk._sendEvent('step', stepData).catch(this.sdk.onError);
 
     return stepId;
   }
 
+  _depthFor(parentStepId) {
+    if (!parentStepId) return 0;
+    const parentDepth = this.stepDepths.get(parentStepId);
+    return parentDepth === undefined ? 1 : parentDepth + 1;
+  }
+
+  _newStepId() {
+    return `step_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   endRun(result = {}) {
-    if (!this.enabled || !this.runId) return;
+    if (!this.sdk.enabled || this.ended) return;
 
     const runData = {
       runId: this.runId,
       output: result.output,
       status: result.status || 'success',
       error: result.error,
+      reason: result.reason,
       duration: Date.now() - this.startTime,
       stepCount: this.steps.length,
       timestamp: new Date().toISOString(),
     };
 
-    this._sendEvent('run_end', runData).catch(this.onError);
+    this.sdk._sendEvent('run_end', runData).catch(this.sdk.onError);
 
-    // Reset state
-    const completedRunId = this.runId;
-    this.runId = null;
-    this.steps = [];
+    this.ended = true;
+    this._stopHeartbeat();
+    this.sdk._releaseRun(this);
+
+    return this.runId;
+  }
+
+  /**
+   * End the run as 'cancelled', e.g. when a user aborts it. Steps still open
+   * are recorded as cancelled too.
+   * @param {string} reason - Why the run was stopped
+   */
+  cancel(reason) {
+    if (!this.sdk.enabled || this.ended) return;
+
+    Array.from(this.openSteps.keys()).forEach(stepId => {
+      this.endStep(stepId, { status: 'cancelled' });
+    });
+    return this.endRun({ status: 'cancelled', reason });
+  }
+
+  /**
+   * Tell the backend the run is still alive, so a long run that goes quiet
+   * between steps isn't marked abandoned.
+   */
+  _startHeartbeat(interval) {
+    if (!interval) return;
+
+    this._heartbeatTimer = setInterval(() => {
+      this.sdk._sendEvent('heartbeat', {
+        runId: this.runId,
+        timestamp: new Date().toISOString(),
+      }).catch(this.sdk.onError);
+    }, interval);
+    if (this._heartbeatTimer.unref) this._heartbeatTimer.unref();
+  }
+
+  _stopHeartbeat() {
+    clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+  }
+}
+
+class XRaySDK {
+  constructor(config = {}) {
+    this.apiUrl = config.apiUrl || 'http://localhost:3001/api';
+    this.enabled = config.enabled !== false;
+    this.metadata = config.metadata || {};
+    this.onError = config.onError || (() => {});
+    this.batchSize = config.batchSize || 10;
+    // Optional AsyncLocalStorage-like object ({ run, getStore }) for async-context mode
+    this.contextStorage = config.contextStorage || null;
+    // Runs that have not ended, in start order; the last is the current one
+    this.openRuns = [];
+    // Step name -> async (input, ctx) => result, for replaying recorded steps
+    this.replayableSteps = new Map();
+
+    // Delivery: retries with exponential backoff and jitter, bounded queue
+    this.maxRetries = config.maxRetries !== undefined ? config.maxRetries : 3;
+    this.retryBaseDelay = config.retryBaseDelay || 500;
+    this.retryMaxDelay = config.retryMaxDelay || 30000;
+    this.maxQueueSize = config.maxQueueSize || 1000;
+    this.overflowPolicy = config.overflowPolicy || 'drop-oldest';
+    this.flushInterval = config.flushInterval !== undefined ? config.flushInterval : 5000;
+    // Runs send a heartbeat this often while open; 0 disables
+    this.heartbeatInterval = config.heartbeatInterval !== undefined ? config.heartbeatInterval : 30000;
+    // Optional { load(), save(events) } adapter so the queue survives reloads
+    this.queueStorage = config.queueStorage
+      || (config.persistQueue && typeof window !== 'undefined' && window.localStorage
+        ? createLocalStorageSpool()
+        : null);
+
+    this.deliveryStats = {
+      sent: 0,
+      failed: 0,
+      rejected: 0,
+      dropped: 0,
+      retries: 0,
+      lastError: null,
+      lastSuccessAt: null,
+    };
+    this.pendingEvents = this.queueStorage ? this.queueStorage.load() : [];
+    this._flushPromise = null;
+
+    if (this.enabled && this.flushInterval > 0) {
+      this._flushTimer = setInterval(() => this._flushEvents(), this.flushInterval);
+      // Don't keep a Node process alive just for the timer
+      if (this._flushTimer.unref) this._flushTimer.unref();
+    }
+
+    // Last-chance flush when the tab closes or the Node process exits
+    this.exitFlushTimeout = config.exitFlushTimeout || 2000;
+    this._removeExitHandlers = null;
+    if (this.enabled && config.flushOnExit !== false) {
+      this._registerExitHandlers();
+    }
+  }
+
+  /**
+   * Start a new run.
+   * @param {Object} context - { pipeline, input, metadata }
+   * @returns {XRayRun} Run handle with its own recordStep/endRun
+   */
+  startRun(context) {
+    const run = new XRayRun(this, context);
+    if (!this.enabled) {
+      run.ended = true;
+      return run;
+    }
+
+    const runContext = {
+      runId: run.runId,
+      pipeline: context.pipeline,
+      input: context.input,
+      metadata: { ...this.metadata, ...context.metadata },
+      timestamp: new Date().toISOString(),
+    };
+
+    this._sendEvent('run_start', runContext).catch(this.onError);
+    run._startHeartbeat(this.heartbeatInterval);
+
+    this.openRuns.push(run);
+
+    return run;
+  }
+
+  /**
+   * Execute fn with run as the active run.
+   * With contextStorage configured, getCurrentRun() resolves to this run in
+   * everything fn calls, even across awaits and concurrent pipelines.
+   */
+  withRun(run, fn) {
+    if (this.contextStorage) {
+      return this.contextStorage.run(run, () => fn(run));
+    }
+    this._releaseRun(run);
+    if (!run.ended) this.openRuns.push(run);
+    return fn(run);
+  }
+
+  /**
+   * Get the active run: the async-context run if there is one, otherwise
+   * the most recently started (or passed to withRun) run that has not ended.
+   * When that run ends, the previous open run becomes current again.
+   */
+  getCurrentRun() {
+    const contextRun = this.contextStorage && this.contextStorage.getStore();
+    return contextRun || this.openRuns[this.openRuns.length - 1] || null;
+  }
+
+  // Instance-level helpers record into the active run
+  recordStep(step) {
+    const run = this.getCurrentRun();
+    if (!run) return null;
+    return run.recordStep(step);
+  }
+
+  startStep(step) {
+    const run = this.getCurrentRun();
+    if (!run) return null;
+    return run.startStep(step);
+  }
+
+  endStep(stepId, result = {}) {
+    const run = this.getCurrentRun();
+    if (!run) return null;
+    return run.endStep(stepId, result);
+  }
+
+  step(step, fn) {
+    const run = this.getCurrentRun();
+    if (!run) {
+      // No run to record into: still call the model, just don't record it
+      return fn(createStepContext({ step: (childStep, childFn) => this.step(childStep, childFn) }));
+    }
+    return run.step(step, fn);
+  }
+
+  endRun(result = {}) {
+    const run = this.getCurrentRun();
+    if (!run) return;
+    return run.endRun(result);
+  }
+
+  cancelRun(reason) {
+    const run = this.getCurrentRun();
+    if (!run) return;
+    return run.cancel(reason);
+  }
+
+  /**
+   * Register a step function that can be replayed from a recorded input.
+   * fn receives the step's recorded `input` and the same ctx as run.step(),
+   * so it should depend on nothing else.
+   * @param {string} name - Step name, as recorded
+   * @param {Function} fn - async (input, ctx) => result
+   */
+  registerStep(name, fn) {
+    this.replayableSteps.set(name, fn);
+  }
 
-    return completedRunId;
+  getReplayableSteps() {
+    return Array.from(this.replayableSteps.keys());
+  }
+
+  /**
+   * Re-execute one recorded step with its captured input.
+   * The replay is recorded as a new run of the same pipeline whose
+   * metadata.replayOf points at the original run and step.
+   * @returns {Promise<Object>} { runId, replayOf: { runId, stepId, stepName }, result }
+   */
+  async replayStep(runId, stepId) {
+    const response = await fetch(`${this.apiUrl}/runs/${runId}`);
+    if (!response.ok) {
+      throw new Error(`Could not load run ${runId}: HTTP ${response.status}`);
+    }
+
+    const original = await response.json();
+    const step = (original.steps || []).find(s => s.stepId === stepId);
+    if (!step) {
+      throw new Error(`Step ${stepId} not found in run ${runId}`);
+    }
+
+    const fn = this.replayableSteps.get(step.name);
+    if (!fn) {
+      throw new Error(`No replayable step registered as "${step.name}"`);
+    }
+
+    const replayOf = { runId, stepId, stepName: step.name };
+    const run = this.startRun({
+      pipeline: original.pipeline,
+      input: step.input,
+      metadata: { replayOf },
+    });
+
+    let result;
+    try {
+      result = await run.step({ name: step.name, type: step.type, input: step.input }, ctx => fn(step.input, ctx));
+      run.endRun({ status: 'success', output: result });
+    } catch (error) {
+      run.endRun({ status: 'error', error: error.message });
+      throw error;
+    } finally {
+      await this.flush();
+    }
+
+    return { runId: run.runId, replayOf, result };
+  }
+
+  _releaseRun(run) {
+    const index = this.openRuns.indexOf(run);
+    if (index !== -1) this.openRuns.splice(index, 1);
   }
 
   // Summarize large arrays to keep storage reasonable
-  // Developer controls the limit per step
-  _summarizeIfLarge(array, limit = 100) {
+  // Developer controls the limit and sampling strategy per step
+  _summarizeIfLarge(array, limit = 100, sampling = 'head') {
     if (!array || !Array.isArray(array)) return array;
     if (array.length <= limit) return array;
 
+    const options = typeof sampling === 'string' ? { strategy: sampling } : sampling;
+    const indices = this._sampleIndices(array, limit, options);
+
     return {
       _summarized: true,
       total: array.length,
-      sample: array.slice(0, limit),
-      sampleSize: limit,
+      sample: indices.map(i => array[i]),
+      // Position of each sample item in the original array
+      sampleIndices: indices,
+      sampleSize: indices.length,
+      sampling: options,
       // Store summary statistics if applicable
       summary: this._computeSummary(array),
     };
   }
 
+  /**
+   * Pick which indices of array to keep.
+   * Strategies: head (first N), reservoir (uniform random), stratified
+   * (proportional per value of `field`) and extremes (top and bottom by
+   * numeric `field`). Fields may be dot paths, e.g. `candidate.category`.
+   */
+  _sampleIndices(array, limit, { strategy = 'head', field } = {}) {
+    const allIndices = array.map((_, i) => i);
+    if ((strategy === 'stratified' || strategy === 'extremes') && !field) {
+      return allIndices.slice(0, limit);
+    }
+
+    switch (strategy) {
+      case 'reservoir':
+        return reservoirSample(allIndices, limit).sort((a, b) => a - b);
+
+      case 'stratified': {
+        const strata = new Map();
+        allIndices.forEach(i => {
+          const value = String(getPath(array[i], field));
+          if (!strata.has(value)) strata.set(value, []);
+          strata.get(value).push(i);
+        });
+
+        // Proportional allocation, at least one item per stratum while room remains
+        const picked = [];
+        Array.from(strata.values())
+          .sort((a, b) => a.length - b.length)
+          .forEach((members, s, all) => {
+            const remainingStrata = all.length - s;
+            // The largest stratum (last) absorbs rounding leftovers
+            const share = remainingStrata === 1
+              ? limit - picked.length
+              : Math.max(1, Math.round((members.length / array.length) * limit));
+            const take = Math.min(members.length, share, limit - picked.length - (remainingStrata - 1));
+            picked.push(...reservoirSample(members, Math.max(0, take)));
+          });
+
+        return picked.sort((a, b) => a - b);
+      }
+
+      case 'extremes': {
+        const ranked = allIndices
+          .filter(i => typeof getPath(array[i], field) === 'number')
+          .sort((a, b) => getPath(array[b], field) - getPath(array[a], field));
+        if (ranked.length <= limit) return ranked;
+
+        const top = Math.ceil(limit / 2);
+        return [...ranked.slice(0, top), ...ranked.slice(ranked.length - (limit - top))];
+      }
+
+      case 'head':
+      default:
+        return allIndices.slice(0, limit);
+    }
+  }
+
+  // Histogram of `reasons` for filtered arrays following the { candidate, reasons } convention
+  _computeReasonBreakdown(array) {
+    if (!Array.isArray(array) || array.length === 0) return null;
+    if (!array.every(item => item && typeof item === 'object' && 'reasons' in item)) return null;
+
+    // No prototype, so a reason named `__proto__` is counted like any other
+    const counts = Object.create(null);
+    const cooccurrence = Object.create(null);
+
+    array.forEach(item => {
+      const reasons = Array.from(new Set([].concat(item.reasons))).sort();
+
+      reasons.forEach((reason, i) => {
+        counts[reason] = (counts[reason] || 0) + 1;
+
+        // Pairs are keyed alphabetically: cooccurrence[a][b] with a < b
+        reasons.slice(i + 1).forEach(other => {
+          cooccurrence[reason] = cooccurrence[reason] || Object.create(null);
+          cooccurrence[reason][other] = (cooccurrence[reason][other] || 0) + 1;
+        });
+      });
+    });
+
+    return { total: array.length, counts, cooccurrence };
+  }
+
+  /**
+   * Per-field statistics over the full array, before it is sampled.
+   * Covers keys found in any item (nested objects as dot paths, two levels
+   * deep). Numeric fields get min/max/avg, percentiles and a 10-bin
+   * histogram; string and boolean fields get top value frequencies.
+   */
   _computeSummary(array) {
     if (!array || array.length === 0) return null;
 
-    // Try to extract numeric fields for statistics
-    const firstItem = array[0];
-    if (typeof firstItem === 'object' && firstItem !== null) {
-      const summary = {};
-      Object.keys(firstItem).forEach(key => {
-        const values = array.map(item => item[key]).filter(v => typeof v === 'number');
-        if (values.length > 0) {
-          summary[key] = {
-            min: Math.min(...values),
-            max: Math.max(...values),
-            avg: values.reduce((a, b) => a + b, 0) / values.length,
-          };
+    const fields = new Map();
+    const collect = (obj, prefix, level) => {
+      Object.entries(obj).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value) && level < 2) {
+          collect(value, path, level + 1);
+          return;
         }
+        if (!fields.has(path)) fields.set(path, []);
+        fields.get(path).push(value);
       });
-      return Object.keys(summary).length > 0 ? summary : null;
-    }
-    return null;
+    };
+
+    let objectCount = 0;
+    array.forEach(item => {
+      if (item && typeof item === 'object' && !Array.isArray(item)) {
+        objectCount++;
+        collect(item, '', 0);
+      }
+    });
+    if (objectCount === 0) return null;
+
+    const summary = {};
+    fields.forEach((values, path) => {
+      // Items missing the key count as nulls
+      const nullCount = objectCount - values.length + values.filter(v => v === null || v === undefined).length;
+      const numbers = values.filter(v => typeof v === 'number' && !Number.isNaN(v));
+      const categorical = values.filter(v => typeof v === 'string' || typeof v === 'boolean');
+
+      if (numbers.length > 0 && numbers.length >= categorical.length) {
+        summary[path] = { type: 'number', count: numbers.length, nullCount, ...numericStats(numbers) };
+      } else if (categorical.length > 0) {
+        summary[path] = { type: 'categorical', count: categorical.length, nullCount, ...valueFrequencies(categorical) };
+      }
+    });
+
+    return Object.keys(summary).length > 0 ? summary : null;
   }
 
   // Batch events for efficiency - don't spam the API
@@ -123,12 +732,15 @@ class XRaySDK {
     if (!this.enabled) return;
 
     const event = {
+      // Lets the backend drop copies re-sent by retries
+      eventId: `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       type: eventType,
+      schemaVersion: SCHEMA_VERSION,
       data,
       timestamp: new Date().toISOString(),
     };
 
-    this.pendingEvents.push(event);
+    this._enqueue(event);
 
     // Batch events for efficiency
     if (this.pendingEvents.length >= this.batchSize) {
@@ -136,34 +748,248 @@ class XRaySDK {
     }
   }
 
-  async _flushEvents() {
-    if (this.pendingEvents.length === 0) return;
+  _enqueue(event) {
+    if (this.pendingEvents.length >= this.maxQueueSize) {
+      this.deliveryStats.dropped++;
+      if (this.overflowPolicy === 'drop-newest') return;
+      this.pendingEvents.shift();
+    }
 
-    const events = [...this.pendingEvents];
-    this.pendingEvents = [];
+    this.pendingEvents.push(event);
+    this._persistQueue();
+  }
 
-    try {
-      const response = await fetch(`${this.apiUrl}/ingest`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ events }),
+  _persistQueue() {
+    if (this.queueStorage) {
+      this.queueStorage.save(this.pendingEvents);
+    }
+  }
+
+  // Only one drain at a time; concurrent callers share it
+  _flushEvents() {
+    if (!this._flushPromise) {
+      this._flushPromise = this._drainQueue().finally(() => {
+        this._flushPromise = null;
       });
+    }
+    return this._flushPromise;
+  }
+
+  async _drainQueue() {
+    while (this.pendingEvents.length > 0) {
+      const batch = this.pendingEvents.slice(0, this.batchSize);
+      const delivered = await this._deliverWithRetry(batch);
+
+      // Out of retries - leave the batch queued for the next flush
+      if (!delivered) return;
+    }
+  }
+
+  async _deliverWithRetry(batch) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const rejected = await this._postEvents(batch);
+        this._removeFromQueue(batch);
+        this.deliveryStats.sent += batch.length - rejected.length;
+        this.deliveryStats.rejected += rejected.length;
+        this.deliveryStats.lastSuccessAt = new Date().toISOString();
+
+        // Rejections are instrumentation bugs - surface them during development
+        if (rejected.length > 0) {
+          const error = new Error(
+            `X-Ray API rejected ${rejected.length} event(s): ${rejected.map(r => r.reason).join('; ')}`
+          );
+          error.rejected = rejected.map(r => ({ ...r, event: batch[r.index] }));
+          this.onError(error);
+        }
+        return true;
+      } catch (error) {
+        this.deliveryStats.lastError = error.message;
 
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.statusText}`);
+        // The API rejected the batch itself; resending won't help
+        if (error.permanent) {
+          this._removeFromQueue(batch);
+          this.deliveryStats.failed += batch.length;
+          this.onError(error);
+          return true;
+        }
+
+        if (attempt >= this.maxRetries) {
+          // Silently fail - don't break the pipeline
+          this.onError(error);
+          return false;
+        }
+
+        this.deliveryStats.retries++;
+        // Backoff never holds up process exit; the exit flush has its own timeout
+        await sleep(this._backoffDelay(attempt), { unref: true });
       }
+    }
+  }
+
+  // Exponential backoff with full jitter
+  _backoffDelay(attempt) {
+    const ceiling = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** attempt);
+    return Math.random() * ceiling;
+  }
+
+  async _postEvents(events) {
+    const response = await fetch(`${this.apiUrl}/ingest`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ events }),
+    });
+
+    if (!response.ok) {
+      const error = new Error(`API request failed: ${response.status} ${response.statusText}`);
+      error.permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+      throw error;
+    }
+
+    // Per-event validation results: [{ index, type, reason }]
+    try {
+      const result = await response.json();
+      return Array.isArray(result.rejected) ? result.rejected : [];
     } catch (error) {
-      // Silently fail - don't break the pipeline
-      this.onError(error);
+      return [];
     }
   }
 
+  // Remove by identity - the queue may have changed while the batch was in flight
+  _removeFromQueue(batch) {
+    const delivered = new Set(batch);
+    this.pendingEvents = this.pendingEvents.filter(event => !delivered.has(event));
+    this._persistQueue();
+  }
+
+  /**
+   * Delivery counters, to tell when traces may be incomplete.
+   * @returns {Object} { sent, failed, rejected, dropped, retries, queued, lastError, lastSuccessAt }
+   */
+  getDeliveryStats() {
+    return { ...this.deliveryStats, queued: this.pendingEvents.length };
+  }
+
   // Call this at the end of your pipeline to make sure everything gets sent
   async flush() {
     await this._flushEvents();
   }
+
+  // Stop the flush timer and send whatever is still queued
+  async close() {
+    clearInterval(this._flushTimer);
+    this._flushTimer = null;
+    if (this._removeExitHandlers) {
+      this._removeExitHandlers();
+      this._removeExitHandlers = null;
+    }
+    await this.flush();
+  }
+
+  _registerExitHandlers() {
+    if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+      const onPageHide = () => this._beaconFlush();
+      const onVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') this._beaconFlush();
+      };
+
+      window.addEventListener('pagehide', onPageHide);
+      document.addEventListener('visibilitychange', onVisibilityChange);
+      this._removeExitHandlers = () => {
+        window.removeEventListener('pagehide', onPageHide);
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+      };
+    } else if (typeof process !== 'undefined' && typeof process.once === 'function') {
+      // Once only: if the API is down, flushing again would keep the loop alive forever
+      const onBeforeExit = () => this._flushWithTimeout();
+      const onSigterm = async () => {
+        await this._flushWithTimeout();
+        // Exit unless the application handles SIGTERM itself
+        if (process.listenerCount('SIGTERM') === 0) {
+          process.exit(143);
+        }
+      };
+
+      process.once('beforeExit', onBeforeExit);
+      process.once('SIGTERM', onSigterm);
+      this._removeExitHandlers = () => {
+        process.removeListener('beforeExit', onBeforeExit);
+        process.removeListener('SIGTERM', onSigterm);
+      };
+    }
+  }
+
+  // Flush, but never hold up shutdown for longer than exitFlushTimeout
+  _flushWithTimeout() {
+    if (this.pendingEvents.length === 0) return Promise.resolve();
+    return Promise.race([
+      this._flushEvents(),
+      sleep(this.exitFlushTimeout),
+    ]);
+  }
+
+  /**
+   * Send the queue with navigator.sendBeacon, which survives the page going
+   * away. Payloads are chunked under the ~64KB beacon limit and sent as
+   * text/plain to avoid a CORS preflight.
+   */
+  _beaconFlush() {
+    if (this.pendingEvents.length === 0) return;
+    if (typeof navigator === 'undefined' || !navigator.sendBeacon) return;
+
+    const url = `${this.apiUrl}/ingest`;
+    const maxBytes = 60000;
+    const send = (batch) => {
+      const blob = new Blob([JSON.stringify({ events: batch })], { type: 'text/plain;charset=UTF-8' });
+      if (!navigator.sendBeacon(url, blob)) return false;
+
+      this._removeFromQueue(batch);
+      this.deliveryStats.sent += batch.length;
+      return true;
+    };
+
+    let batch = [];
+    let size = 0;
+    for (const event of [...this.pendingEvents]) {
+      const eventSize = JSON.stringify(event).length;
+      if (batch.length > 0 && size + eventSize > maxBytes) {
+        // Browser refused (queue full) - what's left stays persisted for next load
+        if (!send(batch)) return;
+        batch = [];
+        size = 0;
+      }
+      batch.push(event);
+      size += eventSize;
+    }
+
+    if (batch.length > 0) send(batch);
+  }
+}
+
+/**
+ * Queue adapter backed by localStorage, for persisting undelivered events
+ * across page reloads.
+ * @param {string} key - localStorage key
+ */
+export function createLocalStorageSpool(key = 'xray:pendingEvents') {
+  return {
+    load() {
+      try {
+        return JSON.parse(window.localStorage.getItem(key)) || [];
+      } catch (error) {
+        return [];
+      }
+    },
+    save(events) {
+      try {
+        window.localStorage.setItem(key, JSON.stringify(events));
+      } catch (error) {
+        // Quota exceeded - the in-memory queue still works
+      }
+    },
+  };
 }
 
 // Create singleton instance
@@ -175,6 +1001,9 @@ let defaultInstance = null;
  * @returns {XRaySDK} SDK instance
  */
 export function initXRay(config = {}) {
+  if (defaultInstance) {
+    defaultInstance.close().catch(() => {});
+  }
   defaultInstance = new XRaySDK(config);
   return defaultInstance;
 }
@@ -190,5 +1019,6 @@ export function getXRay() {
   return defaultInstance;
 }
 
+export { XRayRun };
 export default XRaySDK;
 
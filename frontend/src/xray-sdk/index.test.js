@@ -0,0 +1,204 @@
+import XRaySDK, { createLocalStorageSpool } from './index';
+
+const okResponse = (rejected = []) => ({ ok: true, json: async () => ({ success: true, rejected }) });
+const errorResponse = (status) => ({ ok: false, status, statusText: 'Error' });
+
+const createSDK = (config = {}) => new XRaySDK({
+  apiUrl: 'http://xray.test/api',
+  flushInterval: 0,
+  flushOnExit: false,
+  heartbeatInterval: 0,
+  retryBaseDelay: 1,
+  retryMaxDelay: 1,
+  ...config,
+});
+
+const sentEvents = () => global.fetch.mock.calls.flatMap(([, options]) => JSON.parse(options.body).events);
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  window.localStorage.clear();
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('delivery with retries', () => {
+  test('retries failed batches until they are delivered', async () => {
+    global.fetch
+      .mockResolvedValueOnce(errorResponse(503))
+      .mockRejectedValueOnce(new Error('network down'))
+      .mockResolvedValueOnce(okResponse());
+    const sdk = createSDK({ maxRetries: 3 });
+
+    await sdk._sendEvent('heartbeat', { runId: 'run_1' });
+    await sdk.flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(sdk.getDeliveryStats()).toMatchObject({ sent: 1, retries: 2, queued: 0, failed: 0 });
+  });
+
+  test('keeps the batch queued once retries run out', async () => {
+    global.fetch.mockResolvedValue(errorResponse(500));
+    const onError = jest.fn();
+    const sdk = createSDK({ maxRetries: 1, onError });
+
+    await sdk._sendEvent('heartbeat', { runId: 'run_1' });
+    await sdk.flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(sdk.getDeliveryStats()).toMatchObject({ sent: 0, queued: 1, lastError: 'API request failed: 500 Error' });
+
+    global.fetch.mockResolvedValue(okResponse());
+    await sdk.flush();
+    expect(sdk.getDeliveryStats()).toMatchObject({ sent: 1, queued: 0 });
+  });
+
+  test('drops a batch the API refuses with a 4xx without retrying', async () => {
+    global.fetch.mockResolvedValue(errorResponse(400));
+    const onError = jest.fn();
+    const sdk = createSDK({ maxRetries: 3, onError });
+
+    await sdk._sendEvent('heartbeat', { runId: 'run_1' });
+    await sdk.flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(sdk.getDeliveryStats()).toMatchObject({ failed: 1, retries: 0, queued: 0 });
+  });
+
+  test('retries 429 responses', async () => {
+    global.fetch.mockResolvedValueOnce(errorResponse(429)).mockResolvedValueOnce(okResponse());
+    const sdk = createSDK();
+
+    await sdk._sendEvent('heartbeat', { runId: 'run_1' });
+    await sdk.flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(sdk.getDeliveryStats()).toMatchObject({ sent: 1, queued: 0 });
+  });
+
+  test('reports events the API rejected with the events themselves', async () => {
+    global.fetch.mockResolvedValue(okResponse([{ index: 1, type: 'step', reason: 'step.name is required' }]));
+    const onError = jest.fn();
+    const sdk = createSDK({ onError });
+
+    await sdk._sendEvent('heartbeat', { runId: 'run_1' });
+    await sdk._sendEvent('step', { runId: 'run_1' });
+    await sdk.flush();
+
+    expect(sdk.getDeliveryStats()).toMatchObject({ sent: 1, rejected: 1, queued: 0 });
+    const [error] = onError.mock.calls[0];
+    expect(error.rejected).toHaveLength(1);
+    expect(error.rejected[0].event.type).toBe('step');
+  });
+
+  test('sends in batches of batchSize', async () => {
+    global.fetch.mockResolvedValue(okResponse());
+    const sdk = createSDK({ batchSize: 2 });
+
+    for (let i = 0; i < 5; i++) {
+      // Reaching batchSize flushes on its own
+      await sdk._sendEvent('heartbeat', { runId: `run_${i}` });
+    }
+    await sdk.flush();
+
+    expect(global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body).events.length)).toEqual([2, 2, 1]);
+    expect(sentEvents().map(event => event.data.runId)).toEqual(['run_0', 'run_1', 'run_2', 'run_3', 'run_4']);
+  });
+});
+
+describe('bounded queue', () => {
+  test('drop-oldest discards the oldest event when full', () => {
+    const sdk = createSDK({ maxQueueSize: 2, batchSize: 10 });
+
+    ['a', 'b', 'c'].forEach(id => sdk._enqueue({ eventId: id }));
+
+    expect(sdk.pendingEvents.map(event => event.eventId)).toEqual(['b', 'c']);
+    expect(sdk.getDeliveryStats().dropped).toBe(1);
+  });
+
+  test('drop-newest keeps the queue and discards the new event', () => {
+    const sdk = createSDK({ maxQueueSize: 2, overflowPolicy: 'drop-newest' });
+
+    ['a', 'b', 'c'].forEach(id => sdk._enqueue({ eventId: id }));
+
+    expect(sdk.pendingEvents.map(event => event.eventId)).toEqual(['a', 'b']);
+    expect(sdk.getDeliveryStats().dropped).toBe(1);
+  });
+
+  test('events queued while a batch is in flight survive its removal', async () => {
+    let respond;
+    global.fetch.mockReturnValueOnce(new Promise(resolve => { respond = resolve; }));
+    const sdk = createSDK();
+
+    await sdk._sendEvent('heartbeat', { runId: 'first' });
+    const flushing = sdk.flush();
+    await sdk._sendEvent('heartbeat', { runId: 'second' });
+    global.fetch.mockResolvedValue(okResponse());
+    respond(okResponse());
+    await flushing;
+
+    expect(sentEvents().map(event => event.data.runId)).toEqual(['first', 'second']);
+    expect(sdk.getDeliveryStats()).toMatchObject({ sent: 2, queued: 0 });
+  });
+});
+
+describe('queue persistence', () => {
+  test('loads persisted events and saves the queue as it changes', async () => {
+    const saved = [];
+    const queueStorage = {
+      load: () => [{ eventId: 'evt_old', type: 'heartbeat', schemaVersion: 1, data: { runId: 'run_0' } }],
+      save: events => saved.push(events.map(event => event.eventId)),
+    };
+    global.fetch.mockResolvedValue(okResponse());
+    const sdk = createSDK({ queueStorage });
+
+    expect(sdk.getDeliveryStats().queued).toBe(1);
+
+    await sdk._sendEvent('heartbeat', { runId: 'run_1' });
+    expect(saved[saved.length - 1]).toEqual(['evt_old', expect.any(String)]);
+
+    await sdk.flush();
+    expect(saved[saved.length - 1]).toEqual([]);
+    expect(sentEvents().map(event => event.eventId)[0]).toBe('evt_old');
+  });
+
+  test('localStorage spool round-trips the queue', () => {
+    const spool = createLocalStorageSpool('xray:test');
+
+    expect(spool.load()).toEqual([]);
+    spool.save([{ eventId: 'a' }]);
+    expect(spool.load()).toEqual([{ eventId: 'a' }]);
+  });
+
+  test('localStorage spool treats unreadable data as empty', () => {
+    window.localStorage.setItem('xray:test', '{not json');
+
+    expect(createLocalStorageSpool('xray:test').load()).toEqual([]);
+  });
+
+  test('persistQueue picks up events left by a previous page', async () => {
+    global.fetch.mockResolvedValue(errorResponse(500));
+    const first = createSDK({ persistQueue: true, maxRetries: 0 });
+    await first._sendEvent('heartbeat', { runId: 'run_1' });
+    await first.flush();
+
+    const second = createSDK({ persistQueue: true });
+    expect(second.getDeliveryStats().queued).toBe(1);
+    expect(second.pendingEvents[0].data.runId).toBe('run_1');
+  });
+});
+
+describe('filter reason breakdown', () => {
+  test('counts a __proto__ reason without touching Object.prototype', () => {
+    const breakdown = createSDK()._computeReasonBreakdown([{ candidate: 1, reasons: ['__proto__', 'isAdmin'] }]);
+
+    expect({}.isAdmin).toBeUndefined();
+    expect(breakdown.counts.__proto__).toBe(1);
+    expect(breakdown.cooccurrence.__proto__.isAdmin).toBe(1);
+    expect(JSON.parse(JSON.stringify(breakdown.counts))).toEqual({ ['__proto__']: 1, isAdmin: 1 });
+  });
+});